@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+/**
+ * Compares multi-recipient key agreement throughput with and without the
+ * cached private key, per backend. The baseline is the path before the
+ * cache: decoding `privateKeyBase58` and passing the bytes to the backend on
+ * every call.
+ *
+ * Usage: node benchmark/deriveSecrets.js [recipients] [rounds].
+ */
+import {getBackend, X25519KeyAgreementKey2019} from '../lib/index.js';
+import {decode} from 'base58-universal';
+import {performance} from 'node:perf_hooks';
+
+const recipients = Number(process.argv[2]) || 200;
+const rounds = Number(process.argv[3]) || 3;
+
+const BACKENDS = ['native', 'webcrypto', 'tweetnacl'];
+
+async function main() {
+  const seed = new Uint8Array(32).fill(1);
+  const {publicKeyBase58, privateKeyBase58} =
+    await X25519KeyAgreementKey2019.generate({seed});
+  const publicKeys = await Promise.all(Array.from(
+    {length: recipients}, () => X25519KeyAgreementKey2019.generate()));
+
+  console.log(`${recipients} recipients, best of ${rounds} rounds`);
+  for(const backend of BACKENDS) {
+    if(!await getBackend(backend).isSupported()) {
+      console.log(`\n${backend}: not supported, skipped`);
+      continue;
+    }
+    const options = {publicKeyBase58, privateKeyBase58, backend};
+
+    const uncached = await _measure(async () => {
+      // what `deriveSecret()` did before the cache, on every call
+      const cryptoBackend = getBackend(backend);
+      for(const publicKey of publicKeys) {
+        await cryptoBackend.deriveSecret({
+          privateKey: decode(privateKeyBase58),
+          remotePublicKey: decode(publicKey.publicKeyBase58)
+        });
+      }
+    });
+    const perKeyPair = await _measure(async () => {
+      // a fresh key pair per recipient parses the private key every time
+      for(const publicKey of publicKeys) {
+        await new X25519KeyAgreementKey2019(options)
+          .deriveSecret({publicKey});
+      }
+    });
+    const cached = await _measure(async () => {
+      const keyPair = new X25519KeyAgreementKey2019(options);
+      for(const publicKey of publicKeys) {
+        await keyPair.deriveSecret({publicKey});
+      }
+    });
+    const batch = await _measure(async () => {
+      const keyPair = new X25519KeyAgreementKey2019(options);
+      await keyPair.deriveSecrets({publicKeys});
+    });
+
+    console.log(`\n${backend}:`);
+    _report({label: 'decode per call', ms: uncached, base: uncached});
+    _report({label: 'new key pair per call', ms: perKeyPair, base: uncached});
+    _report({label: 'cached deriveSecret()', ms: cached, base: uncached});
+    _report({label: 'deriveSecrets()', ms: batch, base: uncached});
+  }
+}
+
+async function _measure(fn) {
+  let best = Infinity;
+  for(let i = 0; i < rounds; ++i) {
+    const start = performance.now();
+    await fn();
+    best = Math.min(best, performance.now() - start);
+  }
+  return best;
+}
+
+function _report({label, ms, base}) {
+  const opsPerSec = Math.round(recipients / ms * 1000);
+  console.log(
+    `  ${label.padEnd(24)} ${ms.toFixed(1).padStart(9)} ms ` +
+    `${String(opsPerSec).padStart(8)} ops/s ` +
+    `${(base / ms).toFixed(2).padStart(6)}x`);
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,286 @@
+#!/usr/bin/env node
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {readFile} from 'node:fs/promises';
+import {
+  UnsupportedFormatError, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import {zeroize} from '../lib/zeroize.js';
+
+const USAGE = `Usage: x25519-key <command> [options]
+
+Commands:
+  generate                      Generate a key pair.
+  convert [file]                Convert an Ed25519VerificationKey2018 or
+                                Ed25519VerificationKey2020 key pair.
+  fingerprint [file]            Print the fingerprint of a key.
+  verify-fingerprint <fingerprint> [file]
+                                Check a fingerprint against a key; exits
+                                with 1 if it does not match.
+  derive [file] (--public-key <base58> | --fingerprint <fingerprint> |
+                 --remote-key <file>)
+                                Derive the X25519 shared secret with a
+                                remote public key.
+
+Key files are JSON: an exported X25519KeyAgreementKey2019,
+X25519KeyAgreementKey2020 or Multikey key, or a JWK. A file of "-", or no
+file, is read from stdin. Results are written to stdout as JSON; errors are
+written to stderr as JSON, with exit code 1 (2 for usage errors).
+
+Options:
+  --controller <controller>     Controller of a generated key.
+  --id <id>                     Id of a generated key.
+  --format <format>             Output format of "generate" and "convert":
+                                X25519KeyAgreementKey2019 (default),
+                                X25519KeyAgreementKey2020, Multikey or jwk.
+  --public-only                 Leave out the private key.
+  --encoding <encoding>         Encoding of a derived secret: hex (default),
+                                base64 or base64url.
+  -h, --help                    Show this help.
+`;
+
+const FORMATS = new Set([
+  'X25519KeyAgreementKey2019', 'X25519KeyAgreementKey2020', 'Multikey', 'jwk'
+]);
+const ENCODINGS = new Set(['hex', 'base64', 'base64url']);
+const FLAGS = new Set(['public-only', 'help']);
+const OPTIONS = new Set([
+  'controller', 'id', 'format', 'encoding', 'public-key', 'fingerprint',
+  'remote-key'
+]);
+
+const COMMANDS = {
+  generate: _generate,
+  convert: _convert,
+  fingerprint: _fingerprint,
+  'verify-fingerprint': _verifyFingerprint,
+  derive: _derive
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+    this.code = 'ERR_USAGE';
+  }
+}
+
+main(process.argv.slice(2)).then(exitCode => {
+  process.exitCode = exitCode;
+}, error => {
+  process.stderr.write(_toJson({
+    error: {name: error.name, code: error.code, message: error.message}
+  }));
+  process.exitCode = error instanceof UsageError ? 2 : 1;
+});
+
+async function main(args) {
+  const {command, positionals, options} = _parseArgs(args);
+  if(options.help || command === 'help') {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if(!command) {
+    throw new UsageError('A command is required; see "x25519-key --help".');
+  }
+  const run = COMMANDS[command];
+  if(!run) {
+    throw new UsageError(`Unknown command "${command}".`);
+  }
+  const {result, exitCode = 0} = await run({positionals, options});
+  process.stdout.write(_toJson(result));
+  return exitCode;
+}
+
+async function _generate({positionals, options}) {
+  _assertPositionals({positionals, max: 0});
+  const {controller, id} = options;
+  const keyPair = await X25519KeyAgreementKey2019.generate({controller, id});
+  return {result: _export({keyPair, options})};
+}
+
+async function _convert({positionals, options}) {
+  _assertPositionals({positionals, max: 1});
+  const json = await _readJson(positionals[0]);
+  let keyPair;
+  if(json.type === 'Ed25519VerificationKey2018') {
+    keyPair = X25519KeyAgreementKey2019.fromEd25519VerificationKey2018(
+      {keyPair: json});
+  } else if(json.type === 'Ed25519VerificationKey2020') {
+    keyPair = X25519KeyAgreementKey2019.fromEd25519VerificationKey2020(
+      {keyPair: json});
+  } else {
+    throw new UnsupportedFormatError(
+      `Unsupported key type "${json.type}"; expecting ` +
+      '"Ed25519VerificationKey2018" or "Ed25519VerificationKey2020".');
+  }
+  return {result: _export({keyPair, options})};
+}
+
+async function _fingerprint({positionals}) {
+  _assertPositionals({positionals, max: 1});
+  const keyPair = await _readKey(positionals[0]);
+  return {result: {fingerprint: keyPair.fingerprint()}};
+}
+
+async function _verifyFingerprint({positionals}) {
+  _assertPositionals({positionals, min: 1, max: 2});
+  const [fingerprint, file] = positionals;
+  const keyPair = await _readKey(file);
+  const {valid, error} = keyPair.verifyFingerprint({fingerprint});
+  if(valid) {
+    return {result: {valid}};
+  }
+  return {
+    result: {
+      valid,
+      error: {name: error.name, code: error.code, message: error.message}
+    },
+    exitCode: 1
+  };
+}
+
+async function _derive({positionals, options}) {
+  _assertPositionals({positionals, max: 1});
+  const {encoding = 'hex'} = options;
+  if(!ENCODINGS.has(encoding)) {
+    throw new UsageError(
+      `"--encoding" must be one of: ${[...ENCODINGS].join(', ')}.`);
+  }
+  const remotes = ['public-key', 'fingerprint', 'remote-key']
+    .filter(name => options[name] !== undefined);
+  if(remotes.length !== 1) {
+    throw new UsageError(
+      'Exactly one of "--public-key", "--fingerprint" or "--remote-key" is ' +
+      'required.');
+  }
+  if(_isStdin(positionals[0]) && options['remote-key'] === '-') {
+    throw new UsageError('Only one key can be read from stdin.');
+  }
+  const keyPair = await _readKey(positionals[0]);
+  let publicKey;
+  if(options['public-key'] !== undefined) {
+    publicKey = new X25519KeyAgreementKey2019(
+      {publicKeyBase58: options['public-key']});
+  } else if(options.fingerprint !== undefined) {
+    publicKey = X25519KeyAgreementKey2019.fromFingerprint(
+      {fingerprint: options.fingerprint});
+  } else {
+    publicKey = await _readKey(options['remote-key']);
+  }
+  const secret = await keyPair.deriveSecret({publicKey});
+  try {
+    return {result: {secret: _encode({bytes: secret, encoding}), encoding}};
+  } finally {
+    zeroize(secret);
+    keyPair.destroy();
+  }
+}
+
+function _export({keyPair, options}) {
+  const {format = 'X25519KeyAgreementKey2019'} = options;
+  if(!FORMATS.has(format)) {
+    throw new UsageError(
+      `"--format" must be one of: ${[...FORMATS].join(', ')}.`);
+  }
+  const privateKey = !options['public-only'];
+  if(format === 'jwk') {
+    const jwk = keyPair.toJwk({privateKey});
+    return keyPair.id ? {kid: keyPair.id, ...jwk} : jwk;
+  }
+  return keyPair.export(
+    {publicKey: true, privateKey, includeContext: true, format});
+}
+
+async function _readKey(file) {
+  const json = await _readJson(file);
+  if(json.kty !== undefined) {
+    return X25519KeyAgreementKey2019.fromJwk({jwk: json});
+  }
+  return X25519KeyAgreementKey2019.from(json);
+}
+
+async function _readJson(file) {
+  const text = _isStdin(file) ?
+    await _readStdin() : await readFile(file, 'utf8');
+  try {
+    const json = JSON.parse(text);
+    if(json && typeof json === 'object') {
+      return json;
+    }
+  } catch(e) {}
+  throw new UsageError(
+    `${_isStdin(file) ? 'stdin' : `"${file}"`} does not contain a JSON ` +
+    'object.');
+}
+
+async function _readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+function _isStdin(file) {
+  return file === undefined || file === '-';
+}
+
+function _encode({bytes, encoding}) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+  if(encoding === 'base64url') {
+    return buffer.toString('base64')
+      .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  return buffer.toString(encoding);
+}
+
+function _parseArgs(args) {
+  const positionals = [];
+  const options = {};
+  for(let i = 0; i < args.length; ++i) {
+    const arg = args[i];
+    if(arg === '-h') {
+      options.help = true;
+    } else if(arg.startsWith('--')) {
+      const [name, value] = _splitOption(arg.slice(2));
+      if(FLAGS.has(name)) {
+        if(value !== undefined) {
+          throw new UsageError(`"--${name}" does not take a value.`);
+        }
+        options[name] = true;
+      } else if(OPTIONS.has(name)) {
+        if(value !== undefined) {
+          options[name] = value;
+        } else if(i + 1 < args.length) {
+          options[name] = args[++i];
+        } else {
+          throw new UsageError(`"--${name}" requires a value.`);
+        }
+      } else {
+        throw new UsageError(`Unknown option "--${name}".`);
+      }
+    } else {
+      positionals.push(arg);
+    }
+  }
+  const [command, ...rest] = positionals;
+  return {command, positionals: rest, options};
+}
+
+function _splitOption(option) {
+  const index = option.indexOf('=');
+  return index === -1 ?
+    [option] : [option.slice(0, index), option.slice(index + 1)];
+}
+
+function _assertPositionals({positionals, min = 0, max}) {
+  if(positionals.length < min || positionals.length > max) {
+    throw new UsageError('Wrong number of arguments; see "x25519-key --help".');
+  }
+}
+
+function _toJson(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
@@ -17,7 +17,14 @@ module.exports = function(config) {
     ],
 
     // list of files to exclude
-    exclude: [],
+    // Node.js only: the CLI tests run the `bin` script in a child process,
+    // the filesystem key store tests use a temporary directory and the
+    // Node.js stream tests use Node.js streams
+    exclude: [
+      'test/cli.spec.js',
+      'test/keyStoreFs.spec.js',
+      'test/streamNode.spec.js'
+    ],
 
     // preprocess matching files before serving them to the browser
     // preprocessors: https://npmjs.org/browse/keyword/karma-preprocessor
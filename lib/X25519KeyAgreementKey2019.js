@@ -3,16 +3,49 @@
  */
 import {LDKeyPair} from 'crypto-ld';
 import ed2curve from 'ed2curve';
-import {encode, decode} from 'base58-universal';
-import {generateKeyPair, deriveSecret} from './crypto.js';
+import {encode} from 'base58-universal';
+import * as base64url from 'base64url-universal';
+import {getBackend, getDefaultBackendName, resolveBackend} from './backends.js';
+import {
+  derToPem, parseDer, pemToDer, privateKeyToPkcs8, publicKeyToSpki
+} from './der.js';
+import * as box from './box.js';
+import {timingSafeEqual} from './bytes.js';
+import {decryptPrivateKey, encryptPrivateKey} from './encryptedKey.js';
+import {deriveKey, importKey} from './kdf.js';
+import {
+  assertContributorySecret, assertKeyAgreementInputs, decodeBase58,
+  validateKeyMaterial
+} from './validators.js';
+import {
+  BackendError, DecryptionError, DestroyedKeyError, InactiveKeyError,
+  InvalidKeyError, KeyAgreementError, UnsupportedFormatError, X25519Error
+} from './errors.js';
+import {
+  MULTICODEC_ED25519_PRIV_HEADER, MULTICODEC_ED25519_PUB_HEADER,
+  MULTICODEC_X25519_PRIV_HEADER, MULTICODEC_X25519_PUB_HEADER,
+  multibaseDecode, multibaseEncode
+} from './multicodec.js';
+import {digest} from './primitives.js';
+import {zeroize} from './zeroize.js';
 import {Point} from '@noble/ed25519';
 
 const SUITE_ID = 'X25519KeyAgreementKey2019';
+const SUITE_CONTEXT = 'https://w3id.org/security/suites/x25519-2019/v1';
+const SEED_LENGTH = 32;
 
-// multicodec ed25519-pub header as varint
-const MULTICODEC_ED25519_PUB_HEADER = new Uint8Array([0xed, 0x01]);
-// multicodec ed25519-priv header as varint
-const MULTICODEC_ED25519_PRIV_HEADER = new Uint8Array([0x80, 0x26]);
+// JSON-LD contexts for each supported export `type`
+const EXPORT_CONTEXTS = new Map([
+  [SUITE_ID, SUITE_CONTEXT],
+  ['X25519KeyAgreementKey2020',
+    'https://w3id.org/security/suites/x25519-2020/v1'],
+  ['Multikey', 'https://w3id.org/security/multikey/v1']
+]);
+
+// Ed25519 key types that X25519 keys can be derived from
+const ED25519_KEY_TYPES = new Set([
+  'Ed25519VerificationKey2018', 'Ed25519VerificationKey2020', 'Multikey'
+]);
 
 export class X25519KeyAgreementKey2019 extends LDKeyPair {
   /**
@@ -37,20 +70,108 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    *   URL and key fingerprint as hash fragment.
    * @param {string} options.publicKeyBase58 - Base58 encoded public key.
    * @param {string} [options.privateKeyBase58] - Base58 private key.
+   * @param {string} [options.publicKeyMultibase] - Multibase (base58btc)
+   *   encoded `x25519-pub` public key, accepted instead of `publicKeyBase58`
+   *   (X25519KeyAgreementKey2020 and Multikey formats).
+   * @param {string} [options.privateKeyMultibase] - Multibase (base58btc)
+   *   encoded `x25519-priv` private key (X25519KeyAgreementKey2020 format).
+   * @param {string} [options.secretKeyMultibase] - Same as
+   *   `privateKeyMultibase` (Multikey format).
+   * @param {Uint8Array|object} [options.privateKey] - The private key held
+   *   in binary form instead of `privateKeyBase58`: 32 bytes (copied, so
+   *   that `destroy()` can wipe them), or a non-exportable native key, a
+   *   Node.js `KeyObject` (`native` backend) or WebCrypto `CryptoKey`
+   *   (`webcrypto` backend).
+   * @param {boolean} [options.binaryPrivateKey=false] - Hold a
+   *   `privateKeyBase58`, `privateKeyMultibase` or `secretKeyMultibase`
+   *   private key as bytes instead of as a `privateKeyBase58` string, which
+   *   cannot be wiped. Also accepted by `generate()` and the `from*()`
+   *   methods.
+   * @param {boolean} [options.strict=false] - Validate the key material on
+   *   construction (see `validate()`) and throw if it is invalid.
+   * @param {object} [options.keyAgreer] - A key agreer for a private key that
+   *   is held elsewhere (for example, in an HSM or a WebKMS), with `id`,
+   *   `algorithm` and an async `deriveSecret({publicKey})` method; it is used
+   *   by `deriveSecret()` when there is no `privateKeyBase58`.
+   * @param {string} [options.backend] - The name of a registered crypto
+   *   backend to use for this key pair, overriding the class's backend.
    * @param {string} [options.revoked] - Timestamp of when the key has been
    *   revoked, in RFC3339 format. If not present, the key itself is considered
    *   not revoked. Note that this mechanism is slightly different than DID
    *   Document key revocation, where a DID controller can revoke a key from
    *   that DID by removing it from the DID Document.
+   * @param {string} [options.expires] - Timestamp of when the key expires,
+   *   in RFC3339 format.
+   * @param {boolean} [options.checkActive=false] - Make `deriveSecret()`,
+   *   and everything built on it, refuse to run if this key or the remote
+   *   key is revoked or expired (see `isActive()`). The check also applies
+   *   when this key is the remote key, so encrypting to a revoked recipient
+   *   with an ephemeral key (as `seal()`, `jwe`, `hpke` and `stream` do)
+   *   fails too.
    */
   constructor(options = {}) {
     super(options);
     this.type = SUITE_ID;
+    if(options.expires !== undefined) {
+      this.expires = options.expires;
+    }
+    this._checkActive = options.checkActive === true;
     this.publicKeyBase58 = options.publicKeyBase58;
+    if(!this.publicKeyBase58 && options.publicKeyMultibase) {
+      this.publicKeyBase58 = encode(_decodeMultibaseKey({
+        header: MULTICODEC_X25519_PUB_HEADER,
+        text: options.publicKeyMultibase,
+        property: 'publicKeyMultibase'
+      }));
+    }
     if(!this.publicKeyBase58) {
-      throw TypeError('The "publicKeyBase58" property is required.');
+      throw new TypeError('The "publicKeyBase58" property is required.');
+    }
+    const {privateKey} = options;
+    if(privateKey !== undefined) {
+      const {key, backend} = _importPrivateKey(
+        {privateKey, backend: options.backend});
+      this._privateKey = key;
+      this._backendName = backend;
+    } else if(options.binaryPrivateKey) {
+      let bytes;
+      if(options.privateKeyBase58) {
+        bytes = decodeBase58(
+          {value: options.privateKeyBase58, name: 'privateKeyBase58'});
+      } else {
+        bytes = _decodePrivateKeyMultibase(options);
+      }
+      if(bytes) {
+        this._privateKey = bytes;
+      }
+    } else {
+      this.privateKeyBase58 = options.privateKeyBase58;
+      if(!this.privateKeyBase58) {
+        const bytes = _decodePrivateKeyMultibase(options);
+        if(bytes) {
+          this.privateKeyBase58 = encode(bytes);
+          zeroize(bytes);
+        }
+      }
+    }
+    if(options.keyAgreer) {
+      if(typeof options.keyAgreer.deriveSecret !== 'function') {
+        throw new TypeError(
+          '"keyAgreer" must have a "deriveSecret" function.');
+      }
+      this._keyAgreer = options.keyAgreer;
+    }
+    if(options.backend !== undefined && !this._backendName) {
+      // throws if not registered
+      getBackend(options.backend);
+      this._backendName = options.backend;
+    }
+    if(options.strict) {
+      const {valid, error} = this.validate();
+      if(!valid) {
+        throw error;
+      }
     }
-    this.privateKeyBase58 = options.privateKeyBase58;
     if(this.controller && !this.id) {
       this.id = `${this.controller}#${this.fingerprint()}`;
     }
@@ -67,17 +188,84 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    * @param {object} [options={}] - The options.
    * @param {string} [options.controller] - A controller.
    * @param {string} [options.id] - An id.
+   * @param {Uint8Array} [options.seed] - A 32-byte seed; if given, the key
+   *   pair is derived deterministically from it (the seed is used as the
+   *   X25519 private key).
+   * @param {Function} [options.getRandomBytes] - For testing only: a
+   *   function that takes a length and returns that many (deterministic)
+   *   random bytes, used to create the seed instead of the backend's secure
+   *   random key generation.
+   * @param {string} [options.backend] - The name of a registered crypto
+   *   backend to generate the key pair with, and to use for it afterwards.
    *
    * @returns {Promise<X25519KeyAgreementKey2019>} Generates a key pair.
    */
-  static async generate(options = {}) {
-    const {publicKey, privateKey} = await generateKeyPair();
+  static async generate({seed, getRandomBytes, backend, ...options} = {}) {
+    if(seed === undefined && getRandomBytes) {
+      seed = getRandomBytes(SEED_LENGTH);
+    }
+    const cryptoBackend = await resolveBackend(backend || this._classBackend);
+    let publicKey;
+    let privateKey;
+    if(seed !== undefined) {
+      if(!(seed instanceof Uint8Array && seed.length === SEED_LENGTH)) {
+        throw new TypeError(
+          `"seed" must be a Uint8Array of ${SEED_LENGTH} bytes.`);
+      }
+      // the seed is used as the private key, X25519 clamps it on use
+      privateKey = seed;
+      publicKey = await cryptoBackend.publicFromPrivate({privateKey});
+    } else {
+      ({publicKey, privateKey} = await cryptoBackend.generateKeyPair());
+    }
 
-    return new X25519KeyAgreementKey2019({
+    const keyPair = new X25519KeyAgreementKey2019({
       publicKeyBase58: encode(publicKey),
-      privateKeyBase58: encode(privateKey),
+      ..._privateKeyOptions({privateKey, ...options}),
+      backend,
       ...options
     });
+    if(privateKey !== seed) {
+      zeroize(privateKey);
+    }
+    return keyPair;
+  }
+
+  /**
+   * The name of the crypto backend used by key pairs of this class that do
+   * not select their own: the name set on this class (or a parent class), or
+   * the default backend's name. Set it to the name of a registered backend
+   * (see `registerBackend()`) to select that backend for the class, or to
+   * `undefined` to go back to the default.
+   *
+   * @example
+   * > X25519KeyAgreementKey2019.backend = 'tweetnacl';
+   *
+   * @type {string|undefined}
+   */
+  static get backend() {
+    return this._classBackend || getDefaultBackendName();
+  }
+
+  static set backend(name) {
+    if(name === undefined) {
+      // only removes this class's own selection
+      delete this._classBackend;
+      return;
+    }
+    // throws if not registered
+    getBackend(name);
+    this._classBackend = name;
+  }
+
+  /**
+   * The name of the crypto backend this key pair uses: the one passed to the
+   * constructor, otherwise the class's backend (see the static `backend`).
+   *
+   * @type {string|undefined}
+   */
+  get backend() {
+    return this._backendName || this.constructor.backend;
   }
 
   /**
@@ -97,6 +285,8 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    *
    * @param {object} options - The options.
    * @param {string} [options.privateKeyBase58] - A Base58 encoded Private key.
+   * @param {boolean} [options.strict=false] - Validate the key material and
+   *   throw if it is invalid.
    *
    * @returns {X25519KeyAgreementKey2019} An X25519 Key Pair.
    */
@@ -104,6 +294,158 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
     return new X25519KeyAgreementKey2019(options);
   }
 
+  /**
+   * Creates an X25519KeyAgreementKey2019 Key Pair from a JSON Web Key
+   * (RFC 8037 `OKP` key with `crv` `X25519`).
+   *
+   * @example
+   * > const key = X25519KeyAgreementKey2019.fromJwk({
+   *   jwk: {kty: 'OKP', crv: 'X25519', x: '...'},
+   *   controller
+   * });
+   *
+   * @param {object} options - The options.
+   * @param {object} options.jwk - The JWK; if it has a `d` member, the
+   *   private key is imported as well.
+   * @param {string} [options.id] - Key ID; defaults to the JWK `kid`, if any.
+   * @param {string} [options.controller] - Controller DID or document url.
+   * @param {string} [options.revoked] - Revocation timestamp.
+   *
+   * @returns {X25519KeyAgreementKey2019} An X25519 Key Pair.
+   */
+  static fromJwk({jwk, ...options} = {}) {
+    if(!(jwk && typeof jwk === 'object')) {
+      throw new TypeError('"jwk" must be an object.');
+    }
+    if(jwk.kty !== 'OKP' || jwk.crv !== 'X25519') {
+      throw new UnsupportedFormatError(
+        'JWK must have "kty" of "OKP" and "crv" of "X25519".');
+    }
+    if(typeof jwk.x !== 'string') {
+      throw new InvalidKeyError('JWK "x" property must be a string.');
+    }
+    const keyOptions = {publicKeyBase58: encode(base64url.decode(jwk.x))};
+    if(jwk.kid) {
+      keyOptions.id = jwk.kid;
+    }
+    if(jwk.d !== undefined) {
+      if(typeof jwk.d !== 'string') {
+        throw new InvalidKeyError('JWK "d" property must be a string.');
+      }
+      const privateKey = base64url.decode(jwk.d);
+      Object.assign(
+        keyOptions, _privateKeyOptions({privateKey, ...options}));
+      zeroize(privateKey);
+    }
+    return new X25519KeyAgreementKey2019({...keyOptions, ...options});
+  }
+
+  /**
+   * Creates an X25519KeyAgreementKey2019 Key Pair from DER encoded keys: an
+   * SPKI public key and/or a PKCS#8 private key (OID 1.3.101.110). If only a
+   * private key is given, the public key is computed from it.
+   *
+   * @example
+   * > const key = await X25519KeyAgreementKey2019.fromDer({
+   *   der: [spkiBytes, pkcs8Bytes], controller
+   * });
+   *
+   * @param {object} options - The options.
+   * @param {Uint8Array|Array<Uint8Array>} options.der - One or more DER
+   *   encoded keys.
+   * @param {string} [options.id] - Key ID.
+   * @param {string} [options.controller] - Controller DID or document url.
+   * @param {string} [options.revoked] - Revocation timestamp.
+   *
+   * @returns {Promise<X25519KeyAgreementKey2019>} An X25519 Key Pair.
+   */
+  static async fromDer({der, ...options} = {}) {
+    let publicKey;
+    let privateKey;
+    for(const bytes of [].concat(der)) {
+      const {type, key} = parseDer(bytes);
+      if(type === 'spki') {
+        publicKey = key;
+      } else {
+        privateKey = key;
+      }
+    }
+    if(!publicKey) {
+      if(!privateKey) {
+        throw new TypeError('"der" must contain at least one key.');
+      }
+      const backend = await resolveBackend(
+        options.backend || this._classBackend);
+      publicKey = await backend.publicFromPrivate({privateKey});
+    }
+    const keyOptions = {publicKeyBase58: encode(publicKey)};
+    if(privateKey) {
+      Object.assign(
+        keyOptions, _privateKeyOptions({privateKey, ...options}));
+      zeroize(privateKey);
+    }
+    return new X25519KeyAgreementKey2019({...keyOptions, ...options});
+  }
+
+  /**
+   * Creates an X25519KeyAgreementKey2019 Key Pair from a PEM string holding a
+   * `PUBLIC KEY` (SPKI) block and/or a `PRIVATE KEY` (PKCS#8) block.
+   *
+   * @example
+   * > const key = await X25519KeyAgreementKey2019.fromPem({pem, controller});
+   *
+   * @param {object} options - The options.
+   * @param {string} options.pem - The PEM string.
+   * @param {string} [options.id] - Key ID.
+   * @param {string} [options.controller] - Controller DID or document url.
+   * @param {string} [options.revoked] - Revocation timestamp.
+   *
+   * @returns {Promise<X25519KeyAgreementKey2019>} An X25519 Key Pair.
+   */
+  static async fromPem({pem, ...options} = {}) {
+    const der = pemToDer(pem);
+    try {
+      return await X25519KeyAgreementKey2019.fromDer({der, ...options});
+    } finally {
+      zeroize(...der);
+    }
+  }
+
+  /**
+   * Creates an X25519KeyAgreementKey2019 Key Pair from a password-encrypted
+   * envelope produced by `exportEncrypted()`.
+   *
+   * @example
+   * > const key = await X25519KeyAgreementKey2019.fromEncrypted({
+   *   encryptedKey, password
+   * });
+   *
+   * @param {object} options - The options.
+   * @param {object} options.encryptedKey - The encrypted key envelope.
+   * @param {string|Uint8Array} options.password - The password.
+   * @param {boolean} [options.binaryPrivateKey=false] - Hold the private key
+   *   as bytes (see the constructor).
+   *
+   * @throws {DecryptionError} If the password is wrong or the envelope was
+   *   modified.
+   * @returns {Promise<X25519KeyAgreementKey2019>} An X25519 Key Pair.
+   */
+  static async fromEncrypted({encryptedKey, password, binaryPrivateKey} = {}) {
+    if(!(encryptedKey && typeof encryptedKey === 'object')) {
+      throw new TypeError('"encryptedKey" must be an object.');
+    }
+    const {encryptedPrivateKey, ...metadata} = encryptedKey;
+    const privateKey = await decryptPrivateKey({
+      encryptedPrivateKey, password,
+      additionalData: _encodeEnvelopeMetadata(metadata)
+    });
+    const keyPair = new X25519KeyAgreementKey2019({
+      ...metadata, ..._privateKeyOptions({privateKey, binaryPrivateKey})
+    });
+    zeroize(privateKey);
+    return keyPair;
+  }
+
   /**
    * Converts a keypair instance of type Ed25519VerificationKey2018 to an
    * instance of this class.
@@ -112,23 +454,31 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    *
    * @typedef {object} Ed25519VerificationKey2018
    *
-   * @param {Ed25519VerificationKey2018} keyPair - The source key pair.
+   * @param {object} options - Options hashmap.
+   * @param {Ed25519VerificationKey2018} options.keyPair - The source key
+   *   pair.
+   * @param {boolean} [options.binaryPrivateKey=false] - Hold the private key
+   *   as bytes (see the constructor).
    *
    * @returns {X25519KeyAgreementKey2019} The converted output.
    */
-  static fromEd25519VerificationKey2018({keyPair}) {
-    const xKey = new X25519KeyAgreementKey2019({
+  static fromEd25519VerificationKey2018({keyPair, binaryPrivateKey}) {
+    const keyOptions = {
       controller: keyPair.controller,
       publicKeyBase58: X25519KeyAgreementKey2019
         .convertFromEdPublicKey(keyPair)
-    });
-
-    if(keyPair.privateKeyBase58) {
-      xKey.privateKeyBase58 = X25519KeyAgreementKey2019
-        .convertFromEdPrivateKey(keyPair);
+    };
+    if(!keyPair.privateKeyBase58) {
+      return new X25519KeyAgreementKey2019(keyOptions);
     }
 
-    return xKey;
+    const edPrivateKey = decodeBase58(
+      {value: keyPair.privateKeyBase58, name: 'privateKeyBase58'});
+    try {
+      return _fromEdPrivateKey({keyOptions, edPrivateKey, binaryPrivateKey});
+    } finally {
+      zeroize(edPrivateKey);
+    }
   }
 
   /**
@@ -139,47 +489,52 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    *
    * @typedef {object} Ed25519VerificationKey2020
    *
-   * @param {Ed25519VerificationKey2020} keyPair - The source key pair.
+   * @param {object} options - Options hashmap.
+   * @param {Ed25519VerificationKey2020} options.keyPair - The source key
+   *   pair.
+   * @param {boolean} [options.binaryPrivateKey=false] - Hold the private key
+   *   as bytes (see the constructor).
    *
    * @returns {X25519KeyAgreementKey2019} - The converted output.
    */
-  static fromEd25519VerificationKey2020({keyPair}) {
+  static fromEd25519VerificationKey2020({keyPair, binaryPrivateKey}) {
     if(!keyPair.publicKeyMultibase) {
-      throw new Error('Source public key is required to convert.');
+      throw new InvalidKeyError('Source public key is required to convert.');
     }
 
     if(!keyPair.publicKeyMultibase.startsWith('z')) {
-      throw new TypeError(
+      throw new UnsupportedFormatError(
         'Expecting source public Ed25519 2020 key to have base58btc encoding.'
       );
     }
 
-    const publicKeyBase58 = encode(_multibaseDecode(
+    const publicKeyBase58 = encode(multibaseDecode(
       MULTICODEC_ED25519_PUB_HEADER,
       keyPair.publicKeyMultibase));
 
-    const xKey = new X25519KeyAgreementKey2019({
+    const keyOptions = {
       controller: keyPair.controller,
       publicKeyBase58: X25519KeyAgreementKey2019
         .convertFromEdPublicKey({publicKeyBase58})
-    });
-
-    if(keyPair.privateKeyMultibase) {
-      if(!keyPair.privateKeyMultibase.startsWith('z')) {
-        throw new TypeError(
-          // eslint-disable-next-line max-len
-          'Expecting source private Ed25519 2020 key to have base58btc encoding.'
-        );
-      }
-
-      const privateKeyBase58 = encode(_multibaseDecode(
-        MULTICODEC_ED25519_PRIV_HEADER, keyPair.privateKeyMultibase));
+    };
+    if(!keyPair.privateKeyMultibase) {
+      return new X25519KeyAgreementKey2019(keyOptions);
+    }
 
-      xKey.privateKeyBase58 = X25519KeyAgreementKey2019
-        .convertFromEdPrivateKey({privateKeyBase58});
+    if(!keyPair.privateKeyMultibase.startsWith('z')) {
+      throw new UnsupportedFormatError(
+        // eslint-disable-next-line max-len
+        'Expecting source private Ed25519 2020 key to have base58btc encoding.'
+      );
     }
 
-    return xKey;
+    const edPrivateKey = multibaseDecode(
+      MULTICODEC_ED25519_PRIV_HEADER, keyPair.privateKeyMultibase);
+    try {
+      return _fromEdPrivateKey({keyOptions, edPrivateKey, binaryPrivateKey});
+    } finally {
+      zeroize(edPrivateKey);
+    }
   }
 
   /**
@@ -205,14 +560,21 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    * @returns {string} The base58 encoded X25519 Public key.
    */
   static convertFromEdPublicKey({publicKeyBase58}) {
-    const edPubkeyBytes = decode(publicKeyBase58);
+    const edPubkeyBytes = decodeBase58(
+      {value: publicKeyBase58, name: 'publicKeyBase58'});
 
     // Converts a 32-byte Ed25519 public key into a 32-byte Curve25519 key
-    // Returns null if the given public key in not a valid Ed25519 public key.
-    const dhPubkeyBytes = Point.fromHex(edPubkeyBytes).toX25519();
+    // Throws if the given public key in not a valid Ed25519 public key.
+    let dhPubkeyBytes;
+    let cause;
+    try {
+      dhPubkeyBytes = Point.fromHex(edPubkeyBytes).toX25519();
+    } catch(e) {
+      cause = e;
+    }
     if(!dhPubkeyBytes) {
-      throw new Error(
-        'Error converting to X25519; Invalid Ed25519 public key.');
+      throw new InvalidKeyError(
+        'Error converting to X25519; Invalid Ed25519 public key.', {cause});
     }
     const dhPublicKeyBase58 = encode(dhPubkeyBytes);
     return dhPublicKeyBase58;
@@ -224,20 +586,144 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    * @returns {string} The base58 encoded X25519 Private key.
    */
   static convertFromEdPrivateKey({privateKeyBase58}) {
-    const edPrivkeyBytes = decode(privateKeyBase58);
-    // Converts a 64-byte Ed25519 secret key (or just the first 32-byte part of
-    // it, which is the secret value) into a 32-byte Curve25519 secret key
-    const dhPrivkeyBytes = ed2curve.convertSecretKey(edPrivkeyBytes);
-    // note: a future version should make this method async to allow use of
-    // noble to convert private keys -- but `ed2curve` is much faster x100:
-    // const {head: dhPrivkeyBytes} = await utils.getExtendedPublicKey(
-    //   edPrivkeyBytes.slice(0, 32));
-    if(!dhPrivkeyBytes) {
-      throw new Error(
-        'Error converting to X25519; Invalid Ed25519 private key.');
+    const edPrivkeyBytes = decodeBase58(
+      {value: privateKeyBase58, name: 'privateKeyBase58'});
+    try {
+      const dhPrivkeyBytes = _convertEdPrivateKey(edPrivkeyBytes);
+      const dhPrivateKeyBase58 = encode(dhPrivkeyBytes);
+      zeroize(dhPrivkeyBytes);
+      return dhPrivateKeyBase58;
+    } finally {
+      zeroize(edPrivkeyBytes);
     }
-    const dhPrivateKeyBase58 = encode(dhPrivkeyBytes);
-    return dhPrivateKeyBase58;
+  }
+
+  /**
+   * Tests whether a key agreement key's public key is the conversion of an
+   * Ed25519 key pair's public key, for example to check that the
+   * `keyAgreement` and `verificationMethod` entries of a DID document belong
+   * together. Only public keys are compared; see the `isDerivedFrom()`
+   * instance method to check private keys as well.
+   *
+   * @example
+   * > X25519KeyAgreementKey2019.isDerivedFrom({keyAgreementKey, keyPair});
+   * {valid: true};
+   *
+   * @param {object} options - Options hashmap.
+   * @param {X25519KeyAgreementKey2019|object} options.keyAgreementKey - The
+   *   key agreement key, or its serialized form (with `publicKeyBase58` or
+   *   `publicKeyMultibase`).
+   * @param {object} options.keyPair - An Ed25519VerificationKey2018,
+   *   Ed25519VerificationKey2020 or Ed25519 Multikey key pair, or its
+   *   serialized form.
+   *
+   * @returns {object} An object indicating valid is true or false, with an
+   *   `error` if not valid.
+   */
+  static isDerivedFrom({keyAgreementKey, keyPair} = {}) {
+    let publicKey;
+    let edPublicKey;
+    try {
+      if(!keyAgreementKey) {
+        throw new TypeError('"keyAgreementKey" is required.');
+      }
+      const {publicKeyBase58, publicKeyMultibase} = keyAgreementKey;
+      publicKey = decodeBase58({
+        value: new X25519KeyAgreementKey2019(
+          {publicKeyBase58, publicKeyMultibase}).publicKeyBase58,
+        name: 'publicKeyBase58'
+      });
+      ({publicKey: edPublicKey} = _decodeEdKeyPair({keyPair}));
+    } catch(error) {
+      return {error, valid: false};
+    }
+    return _checkEdPublicKey({publicKey, edPublicKey});
+  }
+
+  /**
+   * Tests whether this key pair is the conversion of an Ed25519 key pair:
+   * that the public keys correspond and, if both key pairs have private
+   * keys, that the private keys do too.
+   *
+   * @example
+   * > xKeyPair.isDerivedFrom({keyPair: edKeyPair});
+   * {valid: true};
+   *
+   * @param {object} options - Options hashmap.
+   * @param {object} options.keyPair - An Ed25519VerificationKey2018,
+   *   Ed25519VerificationKey2020 or Ed25519 Multikey key pair, or its
+   *   serialized form.
+   *
+   * @returns {object} An object indicating valid is true or false, with an
+   *   `error` if not valid.
+   */
+  isDerivedFrom({keyPair} = {}) {
+    let publicKey;
+    let edKey;
+    try {
+      publicKey = decodeBase58(
+        {value: this.publicKeyBase58, name: 'publicKeyBase58'});
+      edKey = _decodeEdKeyPair({keyPair});
+    } catch(error) {
+      return {error, valid: false};
+    }
+    const result = _checkEdPublicKey({publicKey, edPublicKey: edKey.publicKey});
+    if(!(result.valid && edKey.privateKey && _hasPrivateKey(this) &&
+      !_hasNativePrivateKey(this))) {
+      zeroize(edKey.privateKey);
+      return result;
+    }
+    let privateKey;
+    let expectedPrivateKey;
+    try {
+      privateKey = _getPrivateKeyBytes(this);
+      expectedPrivateKey = _convertEdPrivateKey(edKey.privateKey);
+      // `ed2curve` returns a clamped scalar; X25519 ignores the clamped bits
+      _clamp(privateKey);
+      if(!timingSafeEqual(privateKey, expectedPrivateKey)) {
+        return {
+          error: new InvalidKeyError(
+            'The private key was not derived from the Ed25519 private key.'),
+          valid: false
+        };
+      }
+    } catch(error) {
+      return {error, valid: false};
+    } finally {
+      zeroize(privateKey, expectedPrivateKey, edKey.privateKey);
+    }
+    return {valid: true};
+  }
+
+  /**
+   * Upgrades an X25519KeyAgreementKey2019 key pair (an instance, or its
+   * exported form) to the serialized X25519KeyAgreementKey2020 or Multikey
+   * representation, including the matching JSON-LD context.
+   *
+   * @example
+   * > X25519KeyAgreementKey2019.upgrade({keyPair, format: 'Multikey'});
+   * {'@context': 'https://w3id.org/security/multikey/v1', type: 'Multikey',
+   *   ...}
+   *
+   * @param {object} options - Options hashmap.
+   * @param {X25519KeyAgreementKey2019|object} options.keyPair - The key pair.
+   * @param {string} [options.format='Multikey'] - `Multikey` or
+   *   `X25519KeyAgreementKey2020`.
+   * @param {boolean} [options.privateKey=false] - Include private key
+   *   material?
+   *
+   * @returns {Promise<object>} The upgraded key, ready for serialization.
+   */
+  static async upgrade({keyPair, format = 'Multikey', privateKey = false}) {
+    if(!(format === 'Multikey' || format === 'X25519KeyAgreementKey2020')) {
+      throw new UnsupportedFormatError(
+        `Unsupported upgrade format "${format}".`);
+    }
+    if(!(keyPair instanceof X25519KeyAgreementKey2019)) {
+      keyPair = await X25519KeyAgreementKey2019.from(keyPair);
+    }
+    return keyPair.export(
+      {publicKey: true, privateKey, includeContext: true, format});
   }
 
   /**
@@ -247,37 +733,168 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    * @param {boolean} [options.publicKey] - Export public key material?
    * @param {boolean} [options.privateKey] - Export private key material?
    * @param {boolean} [options.includeContext] - Include JSON-LD context?
+   * @param {string} [options.format='X25519KeyAgreementKey2019'] - The
+   *   export format: `X25519KeyAgreementKey2019` (base58 key material),
+   *   `X25519KeyAgreementKey2020` or `Multikey` (multibase key material),
+   *   `jwk` to export a JSON Web Key (see `toJwk()`), `der` to export an
+   *   object with `spki` (public) and/or `pkcs8` (private) DER bytes, or
+   *   `pem` to export a string with `PUBLIC KEY` and/or `PRIVATE KEY` PEM
+   *   blocks.
    *
-   * @returns {object} A plain js object that's ready for serialization
-   *   (to JSON, etc), for use in DIDs etc.
+   * @returns {object|string} A plain js object that's ready for serialization
+   *   (to JSON, etc), for use in DIDs etc., or a PEM string.
    */
-  export({publicKey = false, privateKey = false, includeContext = false} = {}) {
+  export({
+    publicKey = false, privateKey = false, includeContext = false,
+    format = SUITE_ID
+  } = {}) {
     if(!(publicKey || privateKey)) {
       throw new TypeError(
         'Export requires specifying either "publicKey" or "privateKey".');
     }
+    if(format === 'jwk') {
+      return this.toJwk({privateKey});
+    }
+    if(format === 'der' || format === 'pem') {
+      return this._exportDer({publicKey, privateKey, pem: format === 'pem'});
+    }
+    if(!EXPORT_CONTEXTS.has(format)) {
+      throw new UnsupportedFormatError(
+        `Unsupported export format "${format}".`);
+    }
     const exportedKey = {
       id: this.id,
-      type: this.type
+      type: format
     };
     if(includeContext) {
-      exportedKey['@context'] = X25519KeyAgreementKey2019.SUITE_CONTEXT;
+      exportedKey['@context'] = EXPORT_CONTEXTS.get(format);
     }
     if(this.controller) {
       exportedKey.controller = this.controller;
     }
-    if(publicKey) {
-      exportedKey.publicKeyBase58 = this.publicKeyBase58;
-    }
-    if(privateKey) {
-      exportedKey.privateKeyBase58 = this.privateKeyBase58;
+    if(format === SUITE_ID) {
+      if(publicKey) {
+        exportedKey.publicKeyBase58 = this.publicKeyBase58;
+      }
+      if(privateKey) {
+        _assertNotDestroyed(this);
+        exportedKey.privateKeyBase58 = this._privateKey ?
+          _exportPrivateKey({key: this, encoder: encode}) :
+          this.privateKeyBase58;
+      }
+    } else {
+      if(publicKey) {
+        exportedKey.publicKeyMultibase = this.fingerprint();
+      }
+      if(privateKey) {
+        const property = format === 'Multikey' ?
+          'secretKeyMultibase' : 'privateKeyMultibase';
+        exportedKey[property] = _exportPrivateKey({
+          key: this,
+          encoder: bytes => multibaseEncode(
+            MULTICODEC_X25519_PRIV_HEADER, bytes)
+        });
+      }
     }
     if(this.revoked) {
       exportedKey.revoked = this.revoked;
     }
+    if(this.expires) {
+      exportedKey.expires = this.expires;
+    }
     return exportedKey;
   }
 
+  _exportDer({publicKey, privateKey, pem}) {
+    const exported = {};
+    if(publicKey) {
+      exported.spki = publicKeyToSpki(_decodePublicKey(this));
+    }
+    if(privateKey) {
+      exported.pkcs8 = _exportPrivateKey(
+        {key: this, encoder: privateKeyToPkcs8});
+    }
+    if(!pem) {
+      return exported;
+    }
+    const pemString = Object.entries(exported)
+      .map(([type, der]) => derToPem({der, type})).join('');
+    zeroize(exported.pkcs8);
+    return pemString;
+  }
+
+  /**
+   * Exports the key pair with its private key encrypted under a password.
+   * The result is a self-describing JSON envelope: the public key, `id`,
+   * `controller` and `revoked` fields in the clear (and authenticated), and
+   * an `encryptedPrivateKey` with its PBKDF2 and AES-256-GCM parameters.
+   *
+   * @example
+   * > const encryptedKey = await keyPair.exportEncrypted({password});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string|Uint8Array} options.password - The password.
+   * @param {object} [options.kdfParams] - PBKDF2 parameters: `iterations`
+   *   (default 600000), `hash` (default `SHA-256`) and `saltLength` (default
+   *   16).
+   *
+   * @returns {Promise<object>} The encrypted key envelope.
+   */
+  async exportEncrypted({password, kdfParams} = {}) {
+    const privateKey = _getPrivateKeyBytes(this);
+    if(!privateKey) {
+      throw new InvalidKeyError('No private key to export.');
+    }
+    try {
+      const metadata = this.export({publicKey: true});
+      const encryptedPrivateKey = await encryptPrivateKey({
+        privateKey, password, kdfParams,
+        additionalData: _encodeEnvelopeMetadata(metadata)
+      });
+      return {...metadata, encryptedPrivateKey};
+    } finally {
+      zeroize(privateKey);
+    }
+  }
+
+  /**
+   * Exports the key pair as a JSON Web Key (RFC 8037).
+   *
+   * @example
+   * > keyPair.toJwk({privateKey: true});
+   * {kty: 'OKP', crv: 'X25519', x: '...', d: '...'}
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.privateKey=false] - Include private key
+   *   material (`d`)? The public key (`x`) is always included.
+   *
+   * @returns {object} The JWK.
+   */
+  toJwk({privateKey = false} = {}) {
+    const jwk = {
+      kty: 'OKP',
+      crv: 'X25519',
+      x: base64url.encode(_decodePublicKey(this))
+    };
+    if(privateKey) {
+      jwk.d = _exportPrivateKey({key: this, encoder: base64url.encode});
+    }
+    return jwk;
+  }
+
+  /**
+   * Computes the RFC 7638 JWK thumbprint (SHA-256) of the public key, which
+   * can be used as an alternative key identifier (`kid`).
+   *
+   * @returns {Promise<string>} The base64url encoded thumbprint.
+   */
+  async jwkThumbprint() {
+    const {crv, kty, x} = this.toJwk();
+    // required members only, in lexicographic order, without whitespace
+    const data = new TextEncoder().encode(JSON.stringify({crv, kty, x}));
+    return base64url.encode(await digest({hash: 'SHA-256', data}));
+  }
+
   /**
    * Generates and returns a multiformats encoded X25519 public key
    * fingerprint (for use with cryptonyms, for example).
@@ -291,17 +908,13 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
   static fingerprintFromPublicKey({publicKeyBase58}) {
     // X25519 cryptonyms are multicodec encoded values, specifically:
     // (multicodec('x25519-pub') + key bytes)
-    const pubkeyBytes = decode(publicKeyBase58);
-    const buffer = new Uint8Array(2 + pubkeyBytes.length);
     // See https://github.com/multiformats/multicodec/blob/master/table.csv
     // 0xec is the value for X25519 public key
     // 0x01 is from varint.encode(0xec) -> [0xec, 0x01]
     // See https://github.com/multiformats/unsigned-varint
-    buffer[0] = 0xec; //
-    buffer[1] = 0x01;
-    buffer.set(pubkeyBytes, 2);
-    // prefix with `z` to indicate multi-base base58btc encoding
-    return `z${encode(buffer)}`;
+    return multibaseEncode(
+      MULTICODEC_X25519_PUB_HEADER,
+      decodeBase58({value: publicKeyBase58, name: 'publicKeyBase58'}));
   }
 
   /**
@@ -309,20 +922,30 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
    *
    * @param {string} fingerprint - The fingerprint.
    *
-   * @throws Unsupported Fingerprint Type.
+   * @throws {InvalidKeyError} If the fingerprint is not a valid multibase
+   *   encoded 32-byte key.
+   * @throws {UnsupportedFormatError} If the fingerprint is not of an X25519
+   *   public key.
    * @returns {X25519KeyAgreementKey2019} The key.
    */
   static fromFingerprint({fingerprint} = {}) {
     if(!fingerprint ||
       !(typeof fingerprint === 'string' && fingerprint[0] === 'z')) {
-      throw new Error('`fingerprint` must be a multibase encoded string.');
+      throw new InvalidKeyError(
+        '`fingerprint` must be a multibase encoded string.');
     }
     // skip leading `z` that indicates base58 encoding
-    const buffer = decode(fingerprint.substr(1));
+    const buffer = decodeBase58(
+      {value: fingerprint.slice(1), name: 'fingerprint'});
 
     // buffer is: 0xec 0x01 <public key bytes>
     if(buffer[0] !== 0xec || buffer[1] !== 0x01) {
-      throw new Error(`Unsupported Fingerprint Type: ${fingerprint}`);
+      throw new UnsupportedFormatError(
+        `Unsupported Fingerprint Type: ${fingerprint}`);
+    }
+    if(buffer.length !== 34) {
+      throw new InvalidKeyError(
+        'The fingerprint public key must be 32 bytes.');
     }
 
     return new X25519KeyAgreementKey2019({
@@ -330,22 +953,531 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
     });
   }
 
+  /**
+   * Marks the key as revoked, by setting its `revoked` timestamp.
+   *
+   * @example
+   * > keyPair.revoke();
+   * > keyPair.isActive();
+   * false
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {Date|string} [options.date=new Date()] - When the key was
+   *   revoked.
+   */
+  revoke({date = new Date()} = {}) {
+    const time = _parseTime(date);
+    if(Number.isNaN(time)) {
+      throw new TypeError('"date" must be a valid date.');
+    }
+    this.revoked = new Date(time).toISOString();
+  }
+
+  /**
+   * Checks whether the key is active at a given time: neither revoked (at
+   * or before that time) nor expired. A `revoked` or `expires` value that is
+   * not a valid date makes the key inactive.
+   *
+   * @example
+   * > keyPair.isActive();
+   * true
+   *
+   * @param {object} [options] - Options hashmap.
+   * @param {Date|string} [options.date=new Date()] - The time to check at.
+   *
+   * @returns {boolean} `true` if the key is active.
+   */
+  isActive({date = new Date()} = {}) {
+    return !_getInactiveReason({key: this, date});
+  }
+
+  /**
+   * Destroys the private key: a binary private key (see the `privateKey` and
+   * `binaryPrivateKey` constructor options) is overwritten with zeros, and
+   * references to native keys, `privateKeyBase58` and any key agreer are
+   * dropped. Every later operation that needs the private key throws a
+   * `DestroyedKeyError`; the public key remains usable.
+   *
+   * Note: a `privateKeyBase58` string cannot be wiped, only released to the
+   * garbage collector; use binary private keys where that matters.
+   *
+   * @example
+   * > keyPair.destroy();
+   * > await keyPair.deriveSecret({publicKey});
+   * DestroyedKeyError: The key pair has been destroyed.
+   */
+  destroy() {
+    _clearPrivateKeyCache(this);
+    if(this._privateKey instanceof Uint8Array) {
+      zeroize(this._privateKey);
+    }
+    this._privateKey = undefined;
+    this._keyAgreer = undefined;
+    delete this.privateKeyBase58;
+    this._destroyed = true;
+  }
+
+  /**
+   * Whether `destroy()` has been called.
+   *
+   * @returns {boolean} `true` if the key pair has been destroyed.
+   */
+  get destroyed() {
+    return this._destroyed === true;
+  }
+
+  /**
+   * Whether the key pair holds a private key: as `privateKeyBase58`, as
+   * bytes or as a native key. A key agreer does not count.
+   *
+   * @type {boolean}
+   */
+  get hasPrivateKey() {
+    return _hasPrivateKey(this);
+  }
+
+  /**
+   * Copies the key pair, including its private key in the form it is held
+   * in. A binary private key is copied, so that destroying one key pair does
+   * not wipe the other; native keys and key agreers are shared. A destroyed
+   * key pair is copied without a private key.
+   *
+   * @example
+   * > const copy = keyPair.clone();
+   *
+   * @returns {X25519KeyAgreementKey2019} The copy.
+   */
+  clone() {
+    const options = {
+      id: this.id,
+      controller: this.controller,
+      revoked: this.revoked,
+      expires: this.expires,
+      publicKeyBase58: this.publicKeyBase58,
+      checkActive: this._checkActive,
+      keyAgreer: this._keyAgreer,
+      backend: this._backendName
+    };
+    if(this._privateKey) {
+      // the constructor copies bytes and keeps native keys
+      options.privateKey = this._privateKey;
+    } else {
+      options.privateKeyBase58 = this.privateKeyBase58;
+    }
+    return new X25519KeyAgreementKey2019(options);
+  }
+
   /**
    * Derives a shared secret via a given public key, typically for use
    * as one parameter for computing a shared key. It should not be used as
    * a shared key itself, but rather input into a key derivation function (KDF)
    * to produce a shared key.
    *
-   * @param {LDKeyPair} publicKey - Remote key pair.
+   * By default, the remote public key is rejected if it is not 32 bytes or
+   * is a known low-order point, and the result is rejected if it is all
+   * zeros, since in those cases the secret does not depend on the private
+   * key (it is not contributory).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {LDKeyPair} options.publicKey - Remote key pair.
+   * @param {boolean} [options.checkContributory=true] - Set to `false` to
+   *   skip the low-order point and all-zero secret checks.
+   * @param {boolean} [options.checkActive] - Whether to refuse revoked or
+   *   expired keys; defaults to checking the keys that were created with
+   *   the `checkActive` option, and the remote key too if this key was.
    *
-   * @throws {TypeError} On invalid base58 encoding of public or private keys.
+   * @throws {InvalidKeyError} If `publicKey` is missing, or on invalid
+   *   base58 encoding of public or private keys.
+   * @throws {KeyAgreementError} If the key agreement is not contributory.
+   * @throws {InactiveKeyError} If `checkActive` is set and either key is
+   *   revoked or expired.
    * @returns {Promise<Uint8Array>} The derived secret.
    */
-  async deriveSecret({publicKey}) {
-    const remotePublicKey = decode(publicKey.publicKeyBase58);
-    const privateKey = decode(this.privateKeyBase58);
+  async deriveSecret({
+    publicKey, checkContributory = true, checkActive
+  } = {}) {
+    if(!(publicKey && typeof publicKey === 'object')) {
+      throw new InvalidKeyError('"publicKey" must be a key pair.');
+    }
+    const [secret] = await this.deriveSecrets(
+      {publicKeys: [publicKey], checkContributory, checkActive});
+    return secret;
+  }
+
+  /**
+   * Derives shared secrets with many remote public keys at once, for example
+   * to encrypt one message to every member of a group. The checks of
+   * `deriveSecret()` apply to every key; the local key is checked, and its
+   * parsed private key looked up, only once.
+   *
+   * @example
+   * > const secrets = await keyPair.deriveSecrets({publicKeys: recipients});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Array<LDKeyPair>} options.publicKeys - Remote key pairs.
+   * @param {boolean} [options.checkContributory=true] - Set to `false` to
+   *   skip the low-order point and all-zero secret checks.
+   * @param {boolean} [options.checkActive] - Whether to refuse revoked or
+   *   expired keys; defaults as for `deriveSecret()`.
+   *
+   * @throws {InvalidKeyError} If an entry of `publicKeys` is not a key pair,
+   *   or on invalid base58 encoding of public or private keys.
+   * @throws {KeyAgreementError} If any key agreement is not contributory.
+   * @throws {InactiveKeyError} If `checkActive` is set and any key is
+   *   revoked or expired.
+   * @returns {Promise<Array<Uint8Array>>} The derived secrets, in the order
+   *   of `publicKeys`.
+   */
+  async deriveSecrets({
+    publicKeys, checkContributory = true, checkActive
+  } = {}) {
+    _assertNotDestroyed(this);
+    if(!Array.isArray(publicKeys)) {
+      throw new TypeError('"publicKeys" must be an array.');
+    }
+    const date = new Date();
+    if(checkActive === undefined ? this._checkActive : checkActive) {
+      _assertActive({key: this, description: 'Key', date});
+    }
+    for(const publicKey of publicKeys) {
+      if(!(publicKey && typeof publicKey === 'object')) {
+        throw new InvalidKeyError('"publicKeys" must only contain key pairs.');
+      }
+      // a remote key created with `checkActive` is checked as well, since
+      // the key doing the derivation may be an ephemeral one
+      if(checkActive === undefined ?
+        this._checkActive || publicKey._checkActive === true :
+        checkActive) {
+        _assertActive({key: publicKey, description: 'Remote key', date});
+      }
+    }
+    const remotePublicKeys = publicKeys.map(_getPublicKeyBytes);
+
+    let secrets;
+    if(!_hasPrivateKey(this) && this._keyAgreer) {
+      // private key is held elsewhere (e.g. a KMS)
+      if(checkContributory) {
+        for(const remotePublicKey of remotePublicKeys) {
+          assertKeyAgreementInputs({remotePublicKey});
+        }
+      }
+      secrets = await Promise.all(publicKeys.map(
+        publicKey => this._keyAgreer.deriveSecret({publicKey})));
+    } else {
+      const {backend, privateKey, bytes} = await _getPrivateKeyHandle(this);
+      if(checkContributory) {
+        for(const remotePublicKey of remotePublicKeys) {
+          assertKeyAgreementInputs({privateKey: bytes, remotePublicKey});
+        }
+      }
+      try {
+        secrets = await Promise.all(remotePublicKeys.map(
+          remotePublicKey => backend.deriveSecret(
+            {privateKey, remotePublicKey})));
+      } catch(e) {
+        throw _wrapError({error: e, ErrorClass: KeyAgreementError,
+          message: `Key agreement failed with backend "${backend.name}".`});
+      }
+    }
+    if(checkContributory) {
+      try {
+        secrets.forEach(assertContributorySecret);
+      } catch(e) {
+        zeroize(...secrets);
+        throw e;
+      }
+    }
+    return secrets;
+  }
+
+  /**
+   * Returns a key agreer object for use with higher-level code that does key
+   * agreement without caring where the private key lives. For a key pair
+   * with a local private key, the key agreer uses it; otherwise the key
+   * agreer passed to the constructor (if any) is returned.
+   *
+   * @example
+   * > const keyAgreer = keyPair.keyAgreer();
+   * > const secret = await keyAgreer.deriveSecret({publicKey});
+   *
+   * @returns {{id: string, algorithm: string, deriveSecret: Function}} A key
+   *   agreer with an async `deriveSecret({publicKey})` method.
+   */
+  keyAgreer() {
+    if(!_hasPrivateKey(this) && this._keyAgreer) {
+      return this._keyAgreer;
+    }
+    const keyPair = this;
+    return {
+      id: this.id,
+      algorithm: 'X25519',
+      async deriveSecret({publicKey}) {
+        _assertNotDestroyed(keyPair);
+        if(!_hasPrivateKey(keyPair)) {
+          throw new InvalidKeyError('No private key to derive a secret with.');
+        }
+        return keyPair.deriveSecret({publicKey});
+      }
+    };
+  }
+
+  /**
+   * Encrypts a message to a recipient with NaCl `crypto_box`
+   * (X25519-XSalsa20-Poly1305), authenticated by this key pair.
+   *
+   * @example
+   * > const ciphertext = await alice.encryptTo({recipient: bob, message});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {LDKeyPair} options.recipient - The recipient's key pair.
+   * @param {Uint8Array} options.message - The message.
+   *
+   * @returns {Promise<Uint8Array>} The 24-byte nonce followed by the box.
+   */
+  async encryptTo({recipient, message} = {}) {
+    const key = _boxKeyFromSecret(
+      await this.deriveSecret({publicKey: recipient}));
+    try {
+      return box.encrypt({key, message});
+    } finally {
+      zeroize(key);
+    }
+  }
 
-    return deriveSecret({privateKey, remotePublicKey});
+  /**
+   * Decrypts a message from a sender encrypted with `encryptTo()` (or any
+   * `crypto_box` implementation, with the nonce prepended).
+   *
+   * @example
+   * > const message = await bob.decryptFrom({sender: alice, ciphertext});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {LDKeyPair} options.sender - The sender's key pair.
+   * @param {Uint8Array} options.ciphertext - The nonce followed by the box.
+   *
+   * @throws {DecryptionError} If the message was not encrypted by the
+   *   sender to this key pair, or has been modified.
+   * @returns {Promise<Uint8Array>} The message.
+   */
+  async decryptFrom({sender, ciphertext} = {}) {
+    const key = _boxKeyFromSecret(
+      await this.deriveSecret({publicKey: sender}));
+    try {
+      return box.decrypt({key, ciphertext});
+    } finally {
+      zeroize(key);
+    }
+  }
+
+  /**
+   * Encrypts a message anonymously to a recipient, as a libsodium compatible
+   * sealed box (`crypto_box_seal`).
+   *
+   * @example
+   * > const ciphertext = await X25519KeyAgreementKey2019.seal({
+   *   recipient, message
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {LDKeyPair} options.recipient - The recipient's key pair.
+   * @param {Uint8Array} options.message - The message.
+   *
+   * @returns {Promise<Uint8Array>} The sealed box.
+   */
+  static async seal({recipient, message} = {}) {
+    const ephemeralKeyPair = await X25519KeyAgreementKey2019.generate(
+      {binaryPrivateKey: true});
+    let key;
+    try {
+      key = _boxKeyFromSecret(
+        await ephemeralKeyPair.deriveSecret({publicKey: recipient}));
+      return box.seal({
+        key,
+        message,
+        ephemeralPublicKey: _decodePublicKey(ephemeralKeyPair),
+        recipientPublicKey: _decodePublicKey(recipient)
+      });
+    } finally {
+      ephemeralKeyPair.destroy();
+      zeroize(key);
+    }
+  }
+
+  /**
+   * Decrypts a sealed box (`crypto_box_seal`) addressed to this key pair.
+   *
+   * @example
+   * > const message = await recipient.open({ciphertext});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array} options.ciphertext - The sealed box.
+   *
+   * @throws {DecryptionError} If the box was not sealed to this key pair, or
+   *   has been modified.
+   * @returns {Promise<Uint8Array>} The message.
+   */
+  async open({ciphertext} = {}) {
+    const ephemeralKeyPair = new X25519KeyAgreementKey2019({
+      publicKeyBase58: encode(box.getSealedBoxPublicKey(ciphertext))
+    });
+    const key = _boxKeyFromSecret(
+      await this.deriveSecret({publicKey: ephemeralKeyPair}));
+    try {
+      return box.open({
+        key,
+        ciphertext,
+        recipientPublicKey: _decodePublicKey(this)
+      });
+    } finally {
+      zeroize(key);
+    }
+  }
+
+  /**
+   * Derives a shared key via a given public key by running the shared secret
+   * from `deriveSecret()` through a key derivation function.
+   *
+   * @example
+   * > const kek = await keyPair.deriveSharedKey({
+   *   publicKey: remoteKey, kdf: 'ConcatKDF', algorithm: 'ECDH-ES+A256KW',
+   *   apu, apv, format: 'cryptoKey'
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {LDKeyPair} options.publicKey - Remote key pair.
+   * @param {string} [options.kdf='HKDF-SHA256'] - One of `HKDF-SHA256`,
+   *   `HKDF-SHA384`, `HKDF-SHA512` or `ConcatKDF` (JWA ECDH-ES).
+   * @param {string} [options.algorithm] - JOSE algorithm identifier of the
+   *   derived key (e.g. `A256KW`, `ECDH-ES+A256KW`, `A256GCM`, `HS256`).
+   *   Required for `ConcatKDF`, where it is used as the `AlgorithmID`, and
+   *   when `format` is `cryptoKey`.
+   * @param {number} [options.keyLength] - Key length in bits; defaults to the
+   *   length required by `algorithm`, or 256.
+   * @param {Uint8Array} [options.info] - HKDF info.
+   * @param {Uint8Array} [options.salt] - HKDF salt.
+   * @param {Uint8Array} [options.apu] - Concat KDF PartyUInfo.
+   * @param {Uint8Array} [options.apv] - Concat KDF PartyVInfo.
+   * @param {string} [options.format='raw'] - `raw` to return the key bytes,
+   *   `cryptoKey` to return an imported AES-KW, AES-GCM or HMAC WebCrypto
+   *   key (which requires WebCrypto, so not Node.js 14).
+   * @param {boolean} [options.extractable=false] - Whether a returned
+   *   `cryptoKey` can be exported.
+   * @param {boolean} [options.checkContributory=true] - See `deriveSecret()`.
+   *
+   * @returns {Promise<Uint8Array|CryptoKey>} The derived key.
+   */
+  async deriveSharedKey({
+    publicKey, kdf, algorithm, keyLength, info, salt, apu, apv,
+    format = 'raw', extractable = false, checkContributory = true
+  } = {}) {
+    if(!(format === 'raw' || format === 'cryptoKey')) {
+      throw new TypeError('"format" must be "raw" or "cryptoKey".');
+    }
+    const secret = await this.deriveSecret({publicKey, checkContributory});
+    let key;
+    try {
+      key = await deriveKey({
+        secret, kdf, algorithm, keyLength, info, salt, apu, apv
+      });
+    } finally {
+      zeroize(secret);
+    }
+    if(format === 'raw') {
+      return key;
+    }
+    try {
+      return await importKey({key, algorithm, extractable});
+    } finally {
+      zeroize(key);
+    }
+  }
+
+  /**
+   * Derives a key with ECDH-1PU (draft-madden-jose-ecdh-1pu-04), which
+   * authenticates the sender: the ephemeral-static secret `Ze` and the
+   * static-static secret `Zs` are concatenated (`Z = Ze || Zs`) before the
+   * KDF. The sender passes `ephemeralKey` and `senderKey` with private keys
+   * and the recipient's public key; the recipient passes `recipientKey` with
+   * a private key and the sender's and ephemeral public keys.
+   *
+   * @example
+   * > const kek = await X25519KeyAgreementKey2019.derive1PU({
+   *   senderKey, ephemeralKey, recipientKey,
+   *   algorithm: 'ECDH-1PU+A256KW', apu, apv, tag
+   * });
+   *
+   * @param {object} options - Options hashmap.
+   * @param {X25519KeyAgreementKey2019} options.senderKey - The sender's
+   *   static key pair.
+   * @param {X25519KeyAgreementKey2019} options.ephemeralKey - The sender's
+   *   ephemeral key pair.
+   * @param {X25519KeyAgreementKey2019} options.recipientKey - The
+   *   recipient's static key pair.
+   * @param {string} [options.kdf='ConcatKDF'] - See `deriveSharedKey()`.
+   * @param {string} [options.algorithm] - See `deriveSharedKey()`.
+   * @param {number} [options.keyLength] - See `deriveSharedKey()`.
+   * @param {Uint8Array} [options.info] - HKDF info.
+   * @param {Uint8Array} [options.salt] - HKDF salt.
+   * @param {Uint8Array} [options.apu] - Concat KDF PartyUInfo.
+   * @param {Uint8Array} [options.apv] - Concat KDF PartyVInfo.
+   * @param {Uint8Array} [options.tag] - The content encryption tag, required
+   *   by the key wrapping modes (`ECDH-1PU+A*KW`).
+   * @param {string} [options.format='raw'] - See `deriveSharedKey()`.
+   * @param {boolean} [options.extractable=false] - See `deriveSharedKey()`.
+   *
+   * @returns {Promise<Uint8Array|CryptoKey>} The derived key.
+   */
+  static async derive1PU({
+    senderKey, ephemeralKey, recipientKey, kdf = 'ConcatKDF', algorithm,
+    keyLength, info, salt, apu, apv, tag, format = 'raw', extractable = false
+  } = {}) {
+    if(!(senderKey && ephemeralKey && recipientKey)) {
+      throw new TypeError(
+        '"senderKey", "ephemeralKey" and "recipientKey" are required.');
+    }
+    if(!(format === 'raw' || format === 'cryptoKey')) {
+      throw new TypeError('"format" must be "raw" or "cryptoKey".');
+    }
+    if(typeof algorithm === 'string' && algorithm.includes('+') &&
+      !(tag instanceof Uint8Array)) {
+      throw new TypeError(
+        `"tag" is required for key wrapping algorithm "${algorithm}".`);
+    }
+    let ze;
+    let zs;
+    let secret;
+    try {
+      if(_hasPrivateKey(ephemeralKey) || ephemeralKey._keyAgreer) {
+        // sender
+        ze = await ephemeralKey.deriveSecret({publicKey: recipientKey});
+        zs = await senderKey.deriveSecret({publicKey: recipientKey});
+      } else {
+        // recipient
+        ze = await recipientKey.deriveSecret({publicKey: ephemeralKey});
+        zs = await recipientKey.deriveSecret({publicKey: senderKey});
+      }
+      secret = new Uint8Array(ze.length + zs.length);
+      secret.set(ze);
+      secret.set(zs, ze.length);
+    } finally {
+      zeroize(ze, zs);
+    }
+    let key;
+    try {
+      key = await deriveKey({
+        secret, kdf, algorithm, keyLength, info, salt, apu, apv, tag
+      });
+    } finally {
+      zeroize(secret);
+    }
+    if(format === 'raw') {
+      return key;
+    }
+    try {
+      return await importKey({key, algorithm, extractable});
+    } finally {
+      zeroize(key);
+    }
   }
 
   /**
@@ -362,6 +1494,32 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
       .fingerprintFromPublicKey({publicKeyBase58});
   }
 
+  /**
+   * Validates the key material: that the keys are valid base58, that they
+   * are exactly 32 bytes long and, if a private key is present, that it
+   * corresponds to the public key.
+   *
+   * @example
+   * > xKeyPair.validate();
+   * {valid: true};
+   *
+   * @returns {object} An object indicating valid is true or false, with an
+   *   `error` if not valid.
+   */
+  validate() {
+    const {publicKeyBase58, privateKeyBase58} = this;
+    if(!(this._privateKey instanceof Uint8Array)) {
+      // native private keys cannot be read, only the public key is checked
+      return validateKeyMaterial({publicKeyBase58, privateKeyBase58});
+    }
+    const privateKey = new Uint8Array(this._privateKey);
+    try {
+      return validateKeyMaterial({publicKeyBase58, privateKey});
+    } finally {
+      zeroize(privateKey);
+    }
+  }
+
   /**
    * Tests whether the fingerprint was generated from a given key pair.
    *
@@ -378,19 +1536,22 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
     // that it's multi-base encoded
     if(!(typeof fingerprint === 'string' && fingerprint[0] === 'z')) {
       return {
-        error: new Error('`fingerprint` must be a multibase encoded string.'),
+        error: new InvalidKeyError(
+          '`fingerprint` must be a multibase encoded string.'),
         valid: false
       };
     }
     let fingerprintBuffer;
     try {
-      fingerprintBuffer = decode(fingerprint.slice(1));
+      fingerprintBuffer = decodeBase58(
+        {value: fingerprint.slice(1), name: 'fingerprint'});
     } catch(e) {
       return {error: e, valid: false};
     }
     let publicKeyBuffer;
     try {
-      publicKeyBuffer = decode(this.publicKeyBase58);
+      publicKeyBuffer = decodeBase58(
+        {value: this.publicKeyBase58, name: 'publicKeyBase58'});
     } catch(e) {
       return {error: e, valid: false};
     }
@@ -400,7 +1561,8 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
       publicKeyBuffer.toString() === fingerprintBuffer.slice(2).toString();
     if(!valid) {
       return {
-        error: new Error('The fingerprint does not match the public key.'),
+        error: new InvalidKeyError(
+          'The fingerprint does not match the public key.'),
         valid: false
       };
     }
@@ -410,22 +1572,380 @@ export class X25519KeyAgreementKey2019 extends LDKeyPair {
 
 // Used by CryptoLD harness for dispatching.
 X25519KeyAgreementKey2019.suite = SUITE_ID;
-X25519KeyAgreementKey2019.SUITE_CONTEXT =
-  'https://w3id.org/security/suites/x25519-2019/v1';
+X25519KeyAgreementKey2019.SUITE_CONTEXT = SUITE_CONTEXT;
+
+function _assertActive({key, description, date}) {
+  const reason = _getInactiveReason({key, date});
+  if(reason) {
+    const label = key.id ? `${description} "${key.id}"` : description;
+    throw new InactiveKeyError(
+      `${label} is ${reason}.`, {keyId: key.id, reason});
+  }
+}
+
+function _getInactiveReason({key, date}) {
+  const time = _parseTime(date);
+  // values that are not valid dates fail closed (`NaN` is never later)
+  if(_isSet(key.revoked) && !(_parseTime(key.revoked) > time)) {
+    return 'revoked';
+  }
+  if(_isSet(key.expires) && !(_parseTime(key.expires) > time)) {
+    return 'expired';
+  }
+}
+
+function _isSet(value) {
+  return value !== undefined && value !== null && value !== false;
+}
+
+function _parseTime(value) {
+  return value instanceof Date ? value.getTime() : Date.parse(value);
+}
+
+/**
+ * Encodes the cleartext fields of an encrypted key envelope for use as
+ * authenticated data, independent of property order.
+ *
+ * @param {object} metadata - The envelope fields, except the encrypted key.
+ * @returns {Uint8Array} The encoded fields.
+ */
+function _encodeEnvelopeMetadata(metadata) {
+  const sorted = {};
+  for(const key of Object.keys(metadata).sort()) {
+    if(metadata[key] !== undefined) {
+      sorted[key] = metadata[key];
+    }
+  }
+  return new TextEncoder().encode(JSON.stringify(sorted));
+}
+
+/**
+ * Decodes a multibase (base58btc) encoded X25519 key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.header - Expected multicodec header.
+ * @param {string} options.text - Multibase encoded key.
+ * @param {string} options.property - Name of the property being decoded,
+ *   for error messages.
+ * @returns {Uint8Array} Decoded key bytes.
+ */
+function _decodeMultibaseKey({header, text, property}) {
+  if(!(typeof text === 'string' && text.startsWith('z'))) {
+    const ErrorClass = typeof text === 'string' ?
+      UnsupportedFormatError : InvalidKeyError;
+    throw new ErrorClass(
+      `Expecting "${property}" to be a base58btc multibase string.`);
+  }
+  return multibaseDecode(header, text);
+}
 
 /**
- * Decodes a given string as a multibase-encoded multicodec value.
+ * Decodes the key material of an Ed25519VerificationKey2018,
+ * Ed25519VerificationKey2020 or Ed25519 Multikey key pair.
  *
- * @param {Uint8Array} header - Expected header bytes for the multicodec value.
- * @param {string} text - Multibase encoded string to decode.
- * @returns {Uint8Array} Decoded bytes.
+ * @param {object} options - Options hashmap.
+ * @param {object} options.keyPair - The key pair, or its serialized form.
+ * @returns {object} The `publicKey` and, if present, the `privateKey` bytes.
  */
-function _multibaseDecode(header, text) {
-  const mcValue = decode(text.slice(1));
+function _decodeEdKeyPair({keyPair}) {
+  if(!keyPair) {
+    throw new TypeError('"keyPair" is required.');
+  }
+  if(keyPair.type !== undefined && !ED25519_KEY_TYPES.has(keyPair.type)) {
+    throw new UnsupportedFormatError(
+      `Unsupported Ed25519 key type "${keyPair.type}".`);
+  }
+  let publicKey;
+  if(keyPair.publicKeyBase58) {
+    publicKey = decodeBase58(
+      {value: keyPair.publicKeyBase58, name: 'publicKeyBase58'});
+  } else if(keyPair.publicKeyMultibase) {
+    publicKey = _decodeMultibaseKey({
+      header: MULTICODEC_ED25519_PUB_HEADER,
+      text: keyPair.publicKeyMultibase,
+      property: 'publicKeyMultibase'
+    });
+  } else {
+    throw new InvalidKeyError(
+      'Source public key ("publicKeyBase58" or "publicKeyMultibase") is ' +
+      'required.');
+  }
+  if(publicKey.length !== 32) {
+    throw new InvalidKeyError('The Ed25519 public key must be 32 bytes.');
+  }
+  let privateKey;
+  if(keyPair.privateKeyBase58) {
+    privateKey = decodeBase58(
+      {value: keyPair.privateKeyBase58, name: 'privateKeyBase58'});
+  } else if(keyPair.privateKeyMultibase || keyPair.secretKeyMultibase) {
+    const property = keyPair.privateKeyMultibase ?
+      'privateKeyMultibase' : 'secretKeyMultibase';
+    privateKey = _decodeMultibaseKey({
+      header: MULTICODEC_ED25519_PRIV_HEADER,
+      text: keyPair[property],
+      property
+    });
+  }
+  return {publicKey, privateKey};
+}
 
-  if(!header.every((val, i) => mcValue[i] === val)) {
-    throw new Error('Multibase value does not have expected header.');
+function _checkEdPublicKey({publicKey, edPublicKey}) {
+  let expected;
+  try {
+    expected = Point.fromHex(edPublicKey).toX25519();
+  } catch(cause) {
+    return {
+      error: new InvalidKeyError('Invalid Ed25519 public key.', {cause}),
+      valid: false
+    };
+  }
+  if(!timingSafeEqual(publicKey, expected)) {
+    return {
+      error: new InvalidKeyError(
+        'The public key was not derived from the Ed25519 public key.'),
+      valid: false
+    };
   }
+  return {valid: true};
+}
 
-  return mcValue.slice(header.length);
+// clamps a private key in place
+function _clamp(privateKey) {
+  privateKey[0] &= 248;
+  privateKey[31] &= 127;
+  privateKey[31] |= 64;
+}
+
+function _decodePrivateKeyMultibase(options) {
+  const property = options.privateKeyMultibase ?
+    'privateKeyMultibase' : 'secretKeyMultibase';
+  if(!options[property]) {
+    return;
+  }
+  return _decodeMultibaseKey({
+    header: MULTICODEC_X25519_PRIV_HEADER,
+    text: options[property],
+    property
+  });
+}
+
+/**
+ * Checks a private key given to the constructor as bytes, or as a native
+ * key: a Node.js `KeyObject` (which requires the `native` backend) or a
+ * WebCrypto `CryptoKey` (which requires the `webcrypto` backend). Bytes are
+ * copied, so that `destroy()` only wipes the key pair's own copy.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array|object} options.privateKey - The private key.
+ * @param {string} [options.backend] - The backend name given to the
+ *   constructor.
+ * @returns {object} The `key` to store and, for native keys, the name of the
+ *   `backend` that must be used with it.
+ */
+function _importPrivateKey({privateKey, backend}) {
+  if(privateKey instanceof Uint8Array) {
+    if(privateKey.length !== 32) {
+      throw new InvalidKeyError('"privateKey" must be 32 bytes.');
+    }
+    return {key: new Uint8Array(privateKey), backend};
+  }
+  let required;
+  if(privateKey && privateKey.type === 'private') {
+    if(privateKey.asymmetricKeyType === 'x25519') {
+      required = 'native';
+    } else if(privateKey.algorithm && privateKey.algorithm.name === 'X25519') {
+      required = 'webcrypto';
+    }
+  }
+  if(!required) {
+    throw new InvalidKeyError(
+      '"privateKey" must be a Uint8Array, or an X25519 KeyObject or ' +
+      'CryptoKey.');
+  }
+  if(backend !== undefined && backend !== required) {
+    throw new BackendError(
+      `This "privateKey" can only be used with the "${required}" backend.`);
+  }
+  return {key: privateKey, backend: required};
+}
+
+function _convertEdPrivateKey(edPrivkeyBytes) {
+  // Converts a 64-byte Ed25519 secret key (or just the first 32-byte part of
+  // it, which is the secret value) into a 32-byte Curve25519 secret key;
+  // `ed2curve` wipes its own intermediate hash
+  const dhPrivkeyBytes = ed2curve.convertSecretKey(edPrivkeyBytes);
+  // note: a future version should make this method async to allow use of
+  // noble to convert private keys -- but `ed2curve` is much faster x100:
+  // const {head: dhPrivkeyBytes} = await utils.getExtendedPublicKey(
+  //   edPrivkeyBytes.slice(0, 32));
+  if(!dhPrivkeyBytes) {
+    throw new InvalidKeyError(
+      'Error converting to X25519; Invalid Ed25519 private key.');
+  }
+  return dhPrivkeyBytes;
+}
+
+function _fromEdPrivateKey({keyOptions, edPrivateKey, binaryPrivateKey}) {
+  const privateKey = _convertEdPrivateKey(edPrivateKey);
+  try {
+    return new X25519KeyAgreementKey2019({
+      ...keyOptions, ..._privateKeyOptions({privateKey, binaryPrivateKey})
+    });
+  } finally {
+    zeroize(privateKey);
+  }
+}
+
+function _privateKeyOptions({privateKey, binaryPrivateKey}) {
+  if(binaryPrivateKey) {
+    // the constructor copies the bytes
+    return {privateKey};
+  }
+  return {privateKeyBase58: encode(privateKey)};
+}
+
+function _hasPrivateKey(key) {
+  return !!(key.privateKeyBase58 || key._privateKey);
+}
+
+function _hasNativePrivateKey(key) {
+  return !!key._privateKey && !(key._privateKey instanceof Uint8Array);
+}
+
+/**
+ * Returns a copy of a key pair's private key bytes, which the caller must
+ * wipe (see `zeroize()`) when done with it.
+ *
+ * @param {X25519KeyAgreementKey2019} key - The key pair.
+ * @returns {Uint8Array|undefined} The private key bytes, if the key pair has
+ *   a private key.
+ */
+function _getPrivateKeyBytes(key) {
+  _assertNotDestroyed(key);
+  if(_hasNativePrivateKey(key)) {
+    throw new InvalidKeyError(
+      'The private key is a native key and cannot be exported.');
+  }
+  if(key._privateKey) {
+    return new Uint8Array(key._privateKey);
+  }
+  if(key.privateKeyBase58) {
+    return decodeBase58(
+      {value: key.privateKeyBase58, name: 'privateKeyBase58'});
+  }
+}
+
+// encodes a key pair's private key for export, wiping the bytes afterwards
+function _exportPrivateKey({key, encoder}) {
+  const privateKey = _getPrivateKeyBytes(key);
+  if(!privateKey) {
+    throw new InvalidKeyError('No private key to export.');
+  }
+  try {
+    return encoder(privateKey);
+  } finally {
+    zeroize(privateKey);
+  }
+}
+
+function _assertNotDestroyed(key) {
+  if(key._destroyed) {
+    throw new DestroyedKeyError('The key pair has been destroyed.');
+  }
+}
+
+// computes the `crypto_box` key for a shared secret, then wipes the secret
+function _boxKeyFromSecret(secret) {
+  try {
+    return box.boxKeyFromSecret(secret);
+  } finally {
+    zeroize(secret);
+  }
+}
+
+/**
+ * Returns the parsed private key of a key pair for its backend. The decoded
+ * bytes and the backend's parsed form (see the backends' optional
+ * `importPrivateKey()`, such as a Node.js `KeyObject`) are cached on the key
+ * pair, and are replaced if `privateKeyBase58` changes; `destroy()` wipes
+ * them.
+ *
+ * @param {X25519KeyAgreementKey2019} key - The key pair.
+ * @returns {Promise<object>} The `backend`, the `privateKey` to pass to it
+ *   and, unless the key pair holds a native private key, the private key
+ *   `bytes`.
+ */
+async function _getPrivateKeyHandle(key) {
+  if(_hasNativePrivateKey(key)) {
+    // a `KeyObject` or `CryptoKey`, which only its own backend can use
+    const backend = await resolveBackend(key._backendName);
+    return {backend, privateKey: key._privateKey};
+  }
+  const backend = await resolveBackend(
+    key._backendName || key.constructor._classBackend);
+  const source = key._privateKey || key.privateKeyBase58;
+  let cache = key._privateKeyCache;
+  if(!(cache && cache.source === source)) {
+    _clearPrivateKeyCache(key);
+    if(!source) {
+      throw new InvalidKeyError('No private key to derive a secret with.');
+    }
+    const bytes = key._privateKey || decodeBase58(
+      {value: key.privateKeyBase58, name: 'privateKeyBase58'});
+    if(bytes.length !== 32) {
+      throw new KeyAgreementError(
+        `Private key must be 32 bytes; got ${bytes.length}.`);
+    }
+    cache = key._privateKeyCache = {source, bytes, handles: new Map()};
+  }
+  const {bytes, handles} = cache;
+  let handle = handles.get(backend.name);
+  if(!handle) {
+    handle = backend.importPrivateKey ?
+      backend.importPrivateKey({privateKey: bytes}) : bytes;
+    // the promise is cached so that concurrent calls share one import
+    handles.set(backend.name, handle);
+  }
+  try {
+    return {backend, privateKey: await handle, bytes};
+  } catch(e) {
+    handles.delete(backend.name);
+    throw _wrapError({error: e, ErrorClass: InvalidKeyError,
+      message: `Backend "${backend.name}" could not import the private key.`});
+  }
+}
+
+// wraps an error from a crypto backend, unless it is already one of ours
+function _wrapError({error, ErrorClass, message}) {
+  if(error instanceof X25519Error) {
+    return error;
+  }
+  return new ErrorClass(message, {cause: error});
+}
+
+function _clearPrivateKeyCache(key) {
+  const cache = key._privateKeyCache;
+  if(cache && cache.bytes !== key._privateKey) {
+    // decoded from `privateKeyBase58`
+    zeroize(cache.bytes);
+  }
+  key._privateKeyCache = undefined;
+}
+
+function _decodePublicKey(key) {
+  return decodeBase58({value: key.publicKeyBase58, name: 'publicKeyBase58'});
+}
+
+// decodes a public key, cached on key pairs of this class
+function _getPublicKeyBytes(key) {
+  if(!(key instanceof X25519KeyAgreementKey2019)) {
+    return _decodePublicKey(key);
+  }
+  const cache = key._publicKeyCache;
+  if(cache && cache.source === key.publicKeyBase58) {
+    return cache.bytes;
+  }
+  const bytes = _decodePublicKey(key);
+  key._publicKeyCache = {source: key.publicKeyBase58, bytes};
+  return bytes;
 }
@@ -0,0 +1,140 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {BackendError} from './errors.js';
+import {BUILTIN_BACKENDS} from './crypto.js';
+
+const BACKEND_METHODS = [
+  'generateKeyPair', 'deriveSecret', 'publicFromPrivate'
+];
+
+const _backends = new Map();
+let _defaultBackend;
+let _detecting;
+
+for(const backend of BUILTIN_BACKENDS) {
+  registerBackend(backend);
+}
+_detectDefaultBackend();
+
+/**
+ * Registers an X25519 crypto backend, such as a FIPS-validated provider, so
+ * that it can be selected by name. A backend is an object with:
+ *
+ * - `name`: a unique name.
+ * - `generateKeyPair()`: resolves to `{publicKey, privateKey}`, each a
+ *   32-byte Uint8Array.
+ * - `deriveSecret({privateKey, remotePublicKey})`: resolves to the raw
+ *   32-byte X25519 shared secret.
+ * - `publicFromPrivate({privateKey})`: resolves to the 32-byte public key.
+ * - `isSupported()` (optional): returns, or resolves to, whether the backend
+ *   can run in the current environment.
+ * - `importPrivateKey({privateKey})` (optional): resolves to a parsed,
+ *   backend-specific form of a private key (such as a Node.js `KeyObject`),
+ *   which key pairs cache and pass to `deriveSecret()` instead of the bytes.
+ *
+ * Errors that a backend throws from `deriveSecret()` are passed on wrapped in
+ * a `KeyAgreementError`, and from `importPrivateKey()` in an
+ * `InvalidKeyError`, with the original error as `cause`; errors of this
+ * library (see `X25519Error`) are passed on as they are.
+ *
+ * @example
+ * > registerBackend({
+ *   name: 'fips', generateKeyPair, deriveSecret, publicFromPrivate
+ * });
+ * > X25519KeyAgreementKey2019.backend = 'fips';
+ *
+ * @param {object} backend - The backend.
+ */
+export function registerBackend(backend) {
+  if(!(backend && typeof backend.name === 'string' && backend.name)) {
+    throw new TypeError('Backend "name" must be a non-empty string.');
+  }
+  for(const method of BACKEND_METHODS) {
+    if(typeof backend[method] !== 'function') {
+      throw new TypeError(
+        `Backend "${backend.name}" must implement "${method}()".`);
+    }
+  }
+  if(_backends.has(backend.name)) {
+    throw new BackendError(
+      `Backend "${backend.name}" is already registered.`);
+  }
+  _backends.set(backend.name, backend);
+}
+
+/**
+ * Returns the names of the registered backends, built-in ones first.
+ *
+ * @returns {Array<string>} The backend names.
+ */
+export function getBackendNames() {
+  return [..._backends.keys()];
+}
+
+/**
+ * Returns a registered backend.
+ *
+ * @param {string} name - The backend name.
+ *
+ * @returns {object} The backend.
+ */
+export function getBackend(name) {
+  const backend = _backends.get(name);
+  if(!backend) {
+    throw new BackendError(`Unknown backend "${name}".`);
+  }
+  return backend;
+}
+
+/**
+ * Returns the name of the default backend: the first supported built-in
+ * backend (`native` in Node.js, `webcrypto` where WebCrypto supports X25519,
+ * `tweetnacl` otherwise). Where support can only be detected asynchronously
+ * this is `undefined` until detection has finished; operations always wait
+ * for it.
+ *
+ * @returns {string|undefined} The default backend name.
+ */
+export function getDefaultBackendName() {
+  return _defaultBackend && _defaultBackend.name;
+}
+
+/**
+ * Resolves a backend for use: the named backend, which must be supported in
+ * the current environment, or the default backend if no name is given.
+ *
+ * @param {string} [name] - The backend name.
+ *
+ * @returns {Promise<object>} The backend.
+ */
+export async function resolveBackend(name) {
+  if(name === undefined) {
+    return _defaultBackend || _detecting;
+  }
+  const backend = getBackend(name);
+  if(backend.isSupported && !await backend.isSupported()) {
+    throw new BackendError(
+      `Backend "${name}" is not supported in this environment.`);
+  }
+  return backend;
+}
+
+// detects the default backend, synchronously where the backends allow it so
+// that the default is known as soon as this module has loaded in Node.js
+function _detectDefaultBackend(index = 0) {
+  for(let i = index; i < BUILTIN_BACKENDS.length; ++i) {
+    const backend = BUILTIN_BACKENDS[i];
+    const supported = backend.isSupported();
+    if(supported && typeof supported.then === 'function') {
+      _detecting = supported.then(supported => supported ?
+        (_defaultBackend = backend) : _detectDefaultBackend(i + 1));
+      return _detecting;
+    }
+    if(supported) {
+      _defaultBackend = backend;
+      return backend;
+    }
+  }
+  throw new BackendError('No supported X25519 backend found.');
+}
@@ -0,0 +1,142 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {BLAKE2b} from '@stablelib/blake2b';
+import nacl from 'tweetnacl';
+import {DecryptionError} from './errors.js';
+
+export const NONCE_LENGTH = nacl.box.nonceLength;
+export const PUBLIC_KEY_LENGTH = nacl.box.publicKeyLength;
+
+// "expand 32-byte k"
+const SIGMA = new Uint8Array([
+  101, 120, 112, 97, 110, 100, 32, 51, 50, 45, 98, 121, 116, 101, 32, 107
+]);
+
+/**
+ * Computes the `crypto_box` shared key (`crypto_box_beforenm`) from an X25519
+ * shared secret, so that the secret can come from any backend or key agreer.
+ *
+ * @param {Uint8Array} secret - The X25519 shared secret.
+ *
+ * @returns {Uint8Array} The 32-byte `crypto_secretbox` key.
+ */
+export function boxKeyFromSecret(secret) {
+  const key = new Uint8Array(nacl.secretbox.keyLength);
+  nacl.lowlevel.crypto_core_hsalsa20(key, new Uint8Array(16), secret, SIGMA);
+  return key;
+}
+
+/**
+ * Encrypts a message with a `crypto_box` shared key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The shared key.
+ * @param {Uint8Array} options.message - The message.
+ *
+ * @returns {Uint8Array} The (random) nonce followed by the ciphertext.
+ */
+export function encrypt({key, message}) {
+  if(!(message instanceof Uint8Array)) {
+    throw new TypeError('"message" must be a Uint8Array.');
+  }
+  const nonce = nacl.randomBytes(NONCE_LENGTH);
+  const box = nacl.secretbox(message, nonce, key);
+  const result = new Uint8Array(nonce.length + box.length);
+  result.set(nonce);
+  result.set(box, nonce.length);
+  return result;
+}
+
+/**
+ * Decrypts a message encrypted with `encrypt()`.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The shared key.
+ * @param {Uint8Array} options.ciphertext - The nonce followed by the
+ *   ciphertext.
+ *
+ * @returns {Uint8Array} The message.
+ */
+export function decrypt({key, ciphertext}) {
+  if(!(ciphertext instanceof Uint8Array &&
+    ciphertext.length >= NONCE_LENGTH + nacl.box.overheadLength)) {
+    throw new TypeError('"ciphertext" is too short.');
+  }
+  const message = nacl.secretbox.open(
+    ciphertext.subarray(NONCE_LENGTH), ciphertext.subarray(0, NONCE_LENGTH),
+    key);
+  if(!message) {
+    throw new DecryptionError('Invalid key or corrupted ciphertext.');
+  }
+  return message;
+}
+
+/**
+ * Encrypts a message as a `crypto_box_seal` sealed box, given the shared key
+ * between the ephemeral key pair and the recipient.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The shared key.
+ * @param {Uint8Array} options.message - The message.
+ * @param {Uint8Array} options.ephemeralPublicKey - The ephemeral public key.
+ * @param {Uint8Array} options.recipientPublicKey - The recipient public key.
+ *
+ * @returns {Uint8Array} The ephemeral public key followed by the ciphertext.
+ */
+export function seal({key, message, ephemeralPublicKey, recipientPublicKey}) {
+  if(!(message instanceof Uint8Array)) {
+    throw new TypeError('"message" must be a Uint8Array.');
+  }
+  const nonce = _sealNonce({ephemeralPublicKey, recipientPublicKey});
+  const box = nacl.secretbox(message, nonce, key);
+  const result = new Uint8Array(ephemeralPublicKey.length + box.length);
+  result.set(ephemeralPublicKey);
+  result.set(box, ephemeralPublicKey.length);
+  return result;
+}
+
+/**
+ * Gets the ephemeral public key from a sealed box.
+ *
+ * @param {Uint8Array} ciphertext - The sealed box.
+ *
+ * @returns {Uint8Array} The ephemeral public key.
+ */
+export function getSealedBoxPublicKey(ciphertext) {
+  if(!(ciphertext instanceof Uint8Array &&
+    ciphertext.length >= PUBLIC_KEY_LENGTH + nacl.box.overheadLength)) {
+    throw new TypeError('"ciphertext" is too short.');
+  }
+  return ciphertext.slice(0, PUBLIC_KEY_LENGTH);
+}
+
+/**
+ * Decrypts a `crypto_box_seal` sealed box, given the shared key between the
+ * recipient and the ephemeral public key from `getSealedBoxPublicKey()`.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The shared key.
+ * @param {Uint8Array} options.ciphertext - The sealed box.
+ * @param {Uint8Array} options.recipientPublicKey - The recipient public key.
+ *
+ * @returns {Uint8Array} The message.
+ */
+export function open({key, ciphertext, recipientPublicKey}) {
+  const ephemeralPublicKey = getSealedBoxPublicKey(ciphertext);
+  const nonce = _sealNonce({ephemeralPublicKey, recipientPublicKey});
+  const message = nacl.secretbox.open(
+    ciphertext.subarray(PUBLIC_KEY_LENGTH), nonce, key);
+  if(!message) {
+    throw new DecryptionError('Invalid key or corrupted ciphertext.');
+  }
+  return message;
+}
+
+// BLAKE2b-192(ephemeral public key || recipient public key)
+function _sealNonce({ephemeralPublicKey, recipientPublicKey}) {
+  const hash = new BLAKE2b(NONCE_LENGTH);
+  hash.update(ephemeralPublicKey);
+  hash.update(recipientPublicKey);
+  return hash.digest();
+}
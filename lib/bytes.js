@@ -0,0 +1,41 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Concatenates byte arrays.
+ *
+ * @param {...Uint8Array} arrays - The arrays to concatenate.
+ *
+ * @returns {Uint8Array} A new array with the bytes of all the arrays.
+ */
+export function concat(...arrays) {
+  const length = arrays.reduce((total, {length}) => total + length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for(const array of arrays) {
+    result.set(array, offset);
+    offset += array.length;
+  }
+  return result;
+}
+
+/**
+ * Compares byte arrays in time that depends only on their length, for
+ * comparing secrets, tags and derived keys.
+ *
+ * @param {Uint8Array} a - An array.
+ * @param {Uint8Array} b - Another array.
+ *
+ * @returns {boolean} `true` if the arrays hold the same bytes.
+ */
+export function timingSafeEqual(a, b) {
+  if(a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for(let i = 0; i < a.length; ++i) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
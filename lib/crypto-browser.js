@@ -1,4 +1,9 @@
 /*!
- * Copyright (c) 2021 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
  */
-export {deriveSecret, generateKeyPair} from './crypto-nacl.js';
+import * as cryptoNacl from './crypto-nacl.js';
+import * as cryptoWebCrypto from './crypto-webcrypto.js';
+
+// built-in backends, in order of preference for the default backend: native
+// WebCrypto X25519 where available, falling back to tweetnacl
+export const BUILTIN_BACKENDS = [cryptoWebCrypto, cryptoNacl];
@@ -3,6 +3,12 @@
  */
 import nacl from 'tweetnacl';
 
+export const name = 'tweetnacl';
+
+export function isSupported() {
+  return true;
+}
+
 export async function deriveSecret({privateKey, remotePublicKey}) {
   return nacl.scalarMult(privateKey, remotePublicKey);
 }
@@ -12,3 +18,8 @@ export async function generateKeyPair() {
   const {publicKey, secretKey: privateKey} = nacl.box.keyPair();
   return {publicKey, privateKey};
 }
+
+export async function publicFromPrivate({privateKey}) {
+  // X25519 clamps the private key on use
+  return nacl.scalarMult.base(privateKey);
+}
@@ -0,0 +1,74 @@
+/*!
+ * Copyright (c) 2020-2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as crypto from 'node:crypto';
+import {promisify} from 'node:util';
+import {InvalidKeyError, KeyAgreementError} from './errors.js';
+import {PRIVATE_KEY_DER_PREFIX, PUBLIC_KEY_DER_PREFIX} from './der.js';
+import {zeroize} from './zeroize.js';
+
+export const name = 'native';
+
+export function isSupported() {
+  return typeof crypto.diffieHellman === 'function';
+}
+
+// `privateKey` may also be an X25519 `KeyObject`
+export async function deriveSecret({privateKey, remotePublicKey}) {
+  let nodePublicKey;
+  try {
+    nodePublicKey = crypto.createPublicKey({
+      key: Buffer.concat([PUBLIC_KEY_DER_PREFIX, remotePublicKey]),
+      format: 'der',
+      type: 'spki'
+    });
+  } catch(cause) {
+    throw new InvalidKeyError('Invalid X25519 public key.', {cause});
+  }
+  const nodePrivateKey = privateKey instanceof Uint8Array ?
+    _createPrivateKey(privateKey) : privateKey;
+  try {
+    return crypto.diffieHellman(
+      {privateKey: nodePrivateKey, publicKey: nodePublicKey});
+  } catch(cause) {
+    throw new KeyAgreementError('X25519 key agreement failed.', {cause});
+  }
+}
+
+// parses a private key once, so that it can be reused across calls
+export async function importPrivateKey({privateKey}) {
+  return _createPrivateKey(privateKey);
+}
+
+export async function generateKeyPair() {
+  const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+  const publicKeyEncoding = {format: 'der', type: 'spki'};
+  const privateKeyEncoding = {format: 'der', type: 'pkcs8'};
+  const {publicKey: publicDerBytes, privateKey: privateDerBytes} =
+    await generateKeyPairAsync('x25519', {
+      publicKeyEncoding, privateKeyEncoding
+    });
+  const publicKey = publicDerBytes.slice(PUBLIC_KEY_DER_PREFIX.length);
+  // `Buffer#slice()` does not copy
+  const privateKey = new Uint8Array(
+    privateDerBytes.subarray(PRIVATE_KEY_DER_PREFIX.length));
+  zeroize(privateDerBytes);
+  return {publicKey, privateKey};
+}
+
+export async function publicFromPrivate({privateKey}) {
+  const spki = crypto.createPublicKey(_createPrivateKey(privateKey))
+    .export({format: 'der', type: 'spki'});
+  return new Uint8Array(spki.slice(PUBLIC_KEY_DER_PREFIX.length));
+}
+
+function _createPrivateKey(privateKey) {
+  const key = Buffer.concat([PRIVATE_KEY_DER_PREFIX, privateKey]);
+  try {
+    return crypto.createPrivateKey({key, format: 'der', type: 'pkcs8'});
+  } catch(cause) {
+    throw new InvalidKeyError('Invalid X25519 private key.', {cause});
+  } finally {
+    zeroize(key);
+  }
+}
@@ -0,0 +1,107 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {InvalidKeyError, KeyAgreementError} from './errors.js';
+import {PRIVATE_KEY_DER_PREFIX, privateKeyToPkcs8} from './der.js';
+import {webcrypto} from './webcrypto.js';
+import {zeroize} from './zeroize.js';
+
+export const name = 'webcrypto';
+
+const ALGORITHM = {name: 'X25519'};
+
+// X25519 base point (u = 9), used only to probe for support
+const BASE_POINT = new Uint8Array(32);
+BASE_POINT[0] = 9;
+
+let _supported;
+
+/**
+ * Detects whether the runtime's WebCrypto implementation supports X25519.
+ * The result is computed once and cached.
+ *
+ * @returns {Promise<boolean>} Resolves to `true` if X25519 is supported.
+ */
+export async function isSupported() {
+  if(_supported === undefined) {
+    _supported = _detect();
+  }
+  return _supported;
+}
+
+// `privateKey` may also be an X25519 `CryptoKey`
+export async function deriveSecret({privateKey, remotePublicKey}) {
+  const {subtle} = webcrypto;
+  const [cryptoPrivateKey, cryptoPublicKey] = await Promise.all([
+    privateKey instanceof Uint8Array ?
+      _importPrivateKey({privateKey, extractable: false}) : privateKey,
+    subtle.importKey('raw', remotePublicKey, ALGORITHM, false, [])
+      .catch(cause => {
+        throw new InvalidKeyError('Invalid X25519 public key.', {cause});
+      })
+  ]);
+  let secret;
+  try {
+    secret = await subtle.deriveBits(
+      {...ALGORITHM, public: cryptoPublicKey}, cryptoPrivateKey, 256);
+  } catch(cause) {
+    throw new KeyAgreementError('X25519 key agreement failed.', {cause});
+  }
+  return new Uint8Array(secret);
+}
+
+// imports a private key once, so that it can be reused across calls
+export async function importPrivateKey({privateKey}) {
+  return _importPrivateKey({privateKey, extractable: false});
+}
+
+export async function generateKeyPair() {
+  const {subtle} = webcrypto;
+  const {publicKey: cryptoPublicKey, privateKey: cryptoPrivateKey} =
+    await subtle.generateKey(ALGORITHM, true, ['deriveBits']);
+  const [publicKey, pkcs8] = await Promise.all([
+    subtle.exportKey('raw', cryptoPublicKey),
+    subtle.exportKey('pkcs8', cryptoPrivateKey)
+  ]);
+  const pkcs8Bytes = new Uint8Array(pkcs8);
+  const privateKey = pkcs8Bytes.slice(PRIVATE_KEY_DER_PREFIX.length);
+  zeroize(pkcs8Bytes);
+  return {publicKey: new Uint8Array(publicKey), privateKey};
+}
+
+export async function publicFromPrivate({privateKey}) {
+  const {subtle} = webcrypto;
+  // a private key exported as a JWK includes its public key (`x`)
+  const cryptoPrivateKey = await _importPrivateKey(
+    {privateKey, extractable: true});
+  const {x} = await subtle.exportKey('jwk', cryptoPrivateKey);
+  return base64url.decode(x);
+}
+
+async function _importPrivateKey({privateKey, extractable}) {
+  // WebCrypto does not allow importing or exporting raw private keys
+  const pkcs8 = privateKeyToPkcs8(privateKey);
+  try {
+    return await webcrypto.subtle.importKey(
+      'pkcs8', pkcs8, ALGORITHM, extractable, ['deriveBits']);
+  } catch(cause) {
+    throw new InvalidKeyError('Invalid X25519 private key.', {cause});
+  } finally {
+    zeroize(pkcs8);
+  }
+}
+
+async function _detect() {
+  const subtle = webcrypto && webcrypto.subtle;
+  if(!subtle) {
+    // not available at all, or not a secure context
+    return false;
+  }
+  try {
+    await subtle.importKey('raw', BASE_POINT, ALGORITHM, false, []);
+    return true;
+  } catch(e) {
+    return false;
+  }
+}
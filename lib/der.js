@@ -0,0 +1,140 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {InvalidKeyError, UnsupportedFormatError} from './errors.js';
+
+// DER headers for 32-byte X25519 keys (OID 1.3.101.110, RFC 8410)
+// SubjectPublicKeyInfo
+export const PUBLIC_KEY_DER_PREFIX = new Uint8Array([
+  48, 42, 48, 5, 6, 3, 43, 101, 110, 3, 33, 0
+]);
+// PKCS#8 PrivateKeyInfo (version 0, no attributes or public key)
+export const PRIVATE_KEY_DER_PREFIX = new Uint8Array([
+  48, 46, 2, 1, 0, 48, 5, 6, 3, 43, 101, 110, 4, 34, 4, 32
+]);
+
+const KEY_LENGTH = 32;
+
+const PEM_LABELS = {
+  spki: 'PUBLIC KEY',
+  pkcs8: 'PRIVATE KEY'
+};
+
+/**
+ * Wraps a raw public key in an SPKI DER structure.
+ *
+ * @param {Uint8Array} publicKey - The 32-byte public key.
+ *
+ * @returns {Uint8Array} The SPKI DER bytes.
+ */
+export function publicKeyToSpki(publicKey) {
+  return _wrap(PUBLIC_KEY_DER_PREFIX, publicKey);
+}
+
+/**
+ * Wraps a raw private key in a PKCS#8 DER structure.
+ *
+ * @param {Uint8Array} privateKey - The 32-byte private key.
+ *
+ * @returns {Uint8Array} The PKCS#8 DER bytes.
+ */
+export function privateKeyToPkcs8(privateKey) {
+  return _wrap(PRIVATE_KEY_DER_PREFIX, privateKey);
+}
+
+/**
+ * Parses an X25519 SPKI or PKCS#8 DER structure.
+ *
+ * @param {Uint8Array} der - The DER bytes.
+ *
+ * @returns {{type: string, key: Uint8Array}} The structure type (`spki` or
+ *   `pkcs8`) and the raw key bytes.
+ */
+export function parseDer(der) {
+  if(!(der instanceof Uint8Array)) {
+    throw new TypeError('"der" must be a Uint8Array.');
+  }
+  // the keys are copied: `der` may be a Node.js `Buffer`, whose `slice()`
+  // does not copy, and private keys are wiped after use
+  if(_hasPrefix(der, PUBLIC_KEY_DER_PREFIX)) {
+    const key = new Uint8Array(der.subarray(PUBLIC_KEY_DER_PREFIX.length));
+    return {type: 'spki', key};
+  }
+  if(_hasPrefix(der, PRIVATE_KEY_DER_PREFIX)) {
+    const key = new Uint8Array(der.subarray(PRIVATE_KEY_DER_PREFIX.length));
+    return {type: 'pkcs8', key};
+  }
+  throw new UnsupportedFormatError(
+    'Unsupported DER structure; expecting an X25519 SPKI public key or ' +
+    'PKCS#8 private key.');
+}
+
+/**
+ * Encodes DER bytes as a PEM block.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.der - The DER bytes.
+ * @param {string} options.type - `spki` or `pkcs8`.
+ *
+ * @returns {string} The PEM block.
+ */
+export function derToPem({der, type}) {
+  const label = PEM_LABELS[type];
+  const base64 = _toBase64(der);
+  const lines = base64.match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n` +
+    `-----END ${label}-----\n`;
+}
+
+/**
+ * Decodes all `PUBLIC KEY` and `PRIVATE KEY` blocks in a PEM string.
+ *
+ * @param {string} pem - The PEM string.
+ *
+ * @returns {Array<Uint8Array>} The DER bytes of each block.
+ */
+export function pemToDer(pem) {
+  if(typeof pem !== 'string') {
+    throw new TypeError('"pem" must be a string.');
+  }
+  const blocks = [];
+  const regex =
+    /-----BEGIN (PUBLIC KEY|PRIVATE KEY)-----([^-]*)-----END \1-----/g;
+  let match;
+  while((match = regex.exec(pem)) !== null) {
+    blocks.push(_fromBase64(match[2].replace(/\s+/g, '')));
+  }
+  if(blocks.length === 0) {
+    throw new UnsupportedFormatError(
+      'No "PUBLIC KEY" or "PRIVATE KEY" PEM block found.');
+  }
+  return blocks;
+}
+
+function _wrap(prefix, key) {
+  if(!(key instanceof Uint8Array && key.length === KEY_LENGTH)) {
+    throw new InvalidKeyError(
+      `Key must be a Uint8Array of ${KEY_LENGTH} bytes.`);
+  }
+  const der = new Uint8Array(prefix.length + key.length);
+  der.set(prefix);
+  der.set(key, prefix.length);
+  return der;
+}
+
+function _hasPrefix(der, prefix) {
+  return der.length === prefix.length + KEY_LENGTH &&
+    prefix.every((val, i) => der[i] === val);
+}
+
+// standard (padded) base64 via base64url, which works in every environment
+function _toBase64(bytes) {
+  const base64 = base64url.encode(bytes).replace(/-/g, '+').replace(/_/g, '/');
+  return base64.padEnd(Math.ceil(base64.length / 4) * 4, '=');
+}
+
+function _fromBase64(base64) {
+  return base64url.decode(
+    base64.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'));
+}
@@ -0,0 +1,223 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {encode} from 'base58-universal';
+import {
+  MULTICODEC_ED25519_PUB_HEADER, MULTICODEC_X25519_PUB_HEADER,
+  multibaseDecode, multibaseEncode
+} from './multicodec.js';
+import {X25519KeyAgreementKey2019} from './X25519KeyAgreementKey2019.js';
+import {decodeBase58} from './validators.js';
+import {KeyNotFoundError, UnsupportedFormatError} from './errors.js';
+
+const DID_CONTEXT = 'https://www.w3.org/ns/did/v1';
+
+const FORMATS = {
+  // Ed25519VerificationKey2018 / X25519KeyAgreementKey2019
+  2018: {
+    verificationMethodType: 'Ed25519VerificationKey2018',
+    keyAgreementType: 'X25519KeyAgreementKey2019',
+    contexts: [
+      DID_CONTEXT,
+      'https://w3id.org/security/suites/ed25519-2018/v1',
+      'https://w3id.org/security/suites/x25519-2019/v1'
+    ]
+  },
+  // Ed25519VerificationKey2020 / X25519KeyAgreementKey2020
+  2020: {
+    verificationMethodType: 'Ed25519VerificationKey2020',
+    keyAgreementType: 'X25519KeyAgreementKey2020',
+    contexts: [
+      DID_CONTEXT,
+      'https://w3id.org/security/suites/ed25519-2020/v1',
+      'https://w3id.org/security/suites/x25519-2020/v1'
+    ]
+  }
+};
+
+/**
+ * Generates the `did:key` DID document for an Ed25519 key pair, including
+ * the X25519 `keyAgreement` key derived from it. Ed25519VerificationKey2018
+ * key pairs produce a document with an X25519KeyAgreementKey2019 key;
+ * Ed25519VerificationKey2020 key pairs produce one with an
+ * X25519KeyAgreementKey2020 key.
+ *
+ * @example
+ * > const {didDocument, keyAgreementKey} = generateDidDocument({keyPair});
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.keyPair - An Ed25519VerificationKey2018 or
+ *   Ed25519VerificationKey2020 key pair.
+ *
+ * @returns {{didDocument: object, keyAgreementKey: X25519KeyAgreementKey2019}}
+ *   The DID document and the derived key agreement key pair (with a private
+ *   key, if the source key pair had one).
+ */
+export function generateDidDocument({keyPair} = {}) {
+  let format;
+  let fingerprint;
+  let converted;
+  if(keyPair && keyPair.type === 'Ed25519VerificationKey2018') {
+    format = FORMATS[2018];
+    fingerprint = multibaseEncode(
+      MULTICODEC_ED25519_PUB_HEADER,
+      decodeBase58({value: keyPair.publicKeyBase58, name: 'publicKeyBase58'}));
+    converted = X25519KeyAgreementKey2019
+      .fromEd25519VerificationKey2018({keyPair});
+  } else if(keyPair && keyPair.type === 'Ed25519VerificationKey2020') {
+    format = FORMATS[2020];
+    fingerprint = keyPair.publicKeyMultibase;
+    converted = X25519KeyAgreementKey2019
+      .fromEd25519VerificationKey2020({keyPair});
+  } else {
+    throw new TypeError(
+      '"keyPair" must be an Ed25519VerificationKey2018 or ' +
+      'Ed25519VerificationKey2020 key pair.');
+  }
+  const did = `did:key:${fingerprint}`;
+  const keyAgreementKey = new X25519KeyAgreementKey2019({
+    controller: did,
+    publicKeyBase58: converted.publicKeyBase58,
+    privateKeyBase58: converted.privateKeyBase58
+  });
+  const didDocument = _createDidDocument({did, format, keyAgreementKey});
+  return {didDocument, keyAgreementKey};
+}
+
+/**
+ * Resolves a `did:key` DID to its DID document, offline. Ed25519 DIDs
+ * (`did:key:z6Mk...`) resolve to a document with the Ed25519 verification
+ * method and the derived X25519 `keyAgreement` key; X25519 DIDs
+ * (`did:key:z6LS...`) resolve to a document with just the `keyAgreement`
+ * key.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.did - The DID (a fragment, if any, is ignored).
+ * @param {boolean} [options.legacy=false] - Produce the 2018/2019 key types
+ *   instead of the 2020 key types.
+ *
+ * @returns {object} The DID document.
+ */
+export function getDidDocument({did, legacy = false} = {}) {
+  const {did: baseDid} = _parseDidKey(did);
+  const format = legacy ? FORMATS[2018] : FORMATS[2020];
+  return _createDidDocument({did: baseDid, format});
+}
+
+/**
+ * Creates an X25519KeyAgreementKey2019 instance from a `did:key` DID or DID
+ * URL, offline. The key's `controller` is the DID and its `id` is
+ * `<did>#<x25519 fingerprint>`, the same as in the DID document.
+ *
+ * @example
+ * > const keyPair = fromDidKey({
+ *   id: 'did:key:z6Mk...#z6LS...'
+ * });
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.id - A `did:key` DID, or a DID URL whose fragment
+ *   is the X25519 key fingerprint.
+ *
+ * @returns {X25519KeyAgreementKey2019} The key agreement key.
+ */
+export function fromDidKey({id} = {}) {
+  const {did, fragment} = _parseDidKey(id);
+  const didDocument = getDidDocument({did});
+  const [keyAgreement] = didDocument.keyAgreement;
+  if(fragment !== undefined && keyAgreement.id !== id) {
+    throw new KeyNotFoundError(
+      `"${id}" is not a key agreement key of "${did}".`);
+  }
+  return new X25519KeyAgreementKey2019(keyAgreement);
+}
+
+/**
+ * A document loader that resolves `did:key` DIDs and DID URLs offline, for
+ * use with `jsonld` and `jsonld-signatures`.
+ *
+ * @param {string} url - The DID or DID URL.
+ *
+ * @returns {Promise<{contextUrl: null, documentUrl: string, document: object}>}
+ *   The resolved document.
+ */
+export async function documentLoader(url) {
+  const {did, fragment} = _parseDidKey(url);
+  const didDocument = getDidDocument({did});
+  if(fragment === undefined) {
+    return {contextUrl: null, documentUrl: url, document: didDocument};
+  }
+  const methods = [
+    ...(didDocument.verificationMethod || []), ...didDocument.keyAgreement
+  ];
+  const method = methods.find(({id}) => id === url);
+  if(!method) {
+    throw new KeyNotFoundError(`"${url}" not found in "${did}".`);
+  }
+  return {
+    contextUrl: null,
+    documentUrl: url,
+    document: {'@context': didDocument['@context'], ...method}
+  };
+}
+
+function _createDidDocument({did, format, keyAgreementKey}) {
+  const fingerprint = did.slice('did:key:'.length);
+  const didDocument = {'@context': format.contexts, id: did};
+  if(fingerprint.startsWith('z6LS')) {
+    // X25519 did:key; key agreement only
+    keyAgreementKey = X25519KeyAgreementKey2019.fromFingerprint({fingerprint});
+  } else {
+    const publicKeyBase58 = encode(
+      multibaseDecode(MULTICODEC_ED25519_PUB_HEADER, fingerprint));
+    if(!keyAgreementKey) {
+      keyAgreementKey = new X25519KeyAgreementKey2019({
+        publicKeyBase58: X25519KeyAgreementKey2019
+          .convertFromEdPublicKey({publicKeyBase58})
+      });
+    }
+    const verificationMethod = {
+      id: `${did}#${fingerprint}`,
+      type: format.verificationMethodType,
+      controller: did
+    };
+    if(format === FORMATS[2018]) {
+      verificationMethod.publicKeyBase58 = publicKeyBase58;
+    } else {
+      verificationMethod.publicKeyMultibase = fingerprint;
+    }
+    didDocument.verificationMethod = [verificationMethod];
+    didDocument.authentication = [verificationMethod.id];
+    didDocument.assertionMethod = [verificationMethod.id];
+    didDocument.capabilityDelegation = [verificationMethod.id];
+    didDocument.capabilityInvocation = [verificationMethod.id];
+  }
+  const keyAgreement = {
+    id: `${did}#${keyAgreementKey.fingerprint()}`,
+    type: format.keyAgreementType,
+    controller: did
+  };
+  if(format === FORMATS[2018]) {
+    keyAgreement.publicKeyBase58 = keyAgreementKey.publicKeyBase58;
+  } else {
+    keyAgreement.publicKeyMultibase = keyAgreementKey.fingerprint();
+  }
+  didDocument.keyAgreement = [keyAgreement];
+  return didDocument;
+}
+
+function _parseDidKey(id) {
+  if(!(typeof id === 'string' && id.startsWith('did:key:z'))) {
+    throw new TypeError(`"${id}" is not a "did:key" DID.`);
+  }
+  const [did, fragment] = id.split('#');
+  const fingerprint = did.slice('did:key:'.length);
+  if(!(fingerprint.startsWith('z6Mk') || fingerprint.startsWith('z6LS'))) {
+    throw new UnsupportedFormatError(
+      `Unsupported "did:key" key type; expecting Ed25519 or X25519: "${did}".`);
+  }
+  const header = fingerprint.startsWith('z6Mk') ?
+    MULTICODEC_ED25519_PUB_HEADER : MULTICODEC_X25519_PUB_HEADER;
+  // validate encoding
+  multibaseDecode(header, fingerprint);
+  return {did, fragment};
+}
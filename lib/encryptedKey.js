@@ -0,0 +1,115 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {
+  aesGcmDecrypt, aesGcmEncrypt, getRandomBytes, pbkdf2
+} from './primitives.js';
+import {zeroize} from './zeroize.js';
+import {DecryptionError, UnsupportedFormatError} from './errors.js';
+
+// PBKDF2-HMAC-SHA256 iterations; see OWASP password storage recommendations
+const DEFAULT_ITERATIONS = 600000;
+const DEFAULT_SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+
+/**
+ * Encrypts a private key with a password, using PBKDF2 to derive an
+ * AES-256-GCM key. The given additional data is authenticated but not
+ * encrypted.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.privateKey - The private key bytes.
+ * @param {string|Uint8Array} options.password - The password.
+ * @param {Uint8Array} options.additionalData - Data to authenticate.
+ * @param {object} [options.kdfParams={}] - PBKDF2 parameters: `iterations`
+ *   (default 600000), `hash` (`SHA-256`, `SHA-384` or `SHA-512`; default
+ *   `SHA-256`) and `saltLength` in bytes (default 16).
+ *
+ * @returns {Promise<object>} The `kdf`, `cipher` and `ciphertext` of the
+ *   encrypted key.
+ */
+export async function encryptPrivateKey({
+  privateKey, password, additionalData, kdfParams = {}
+}) {
+  const {
+    iterations = DEFAULT_ITERATIONS, hash = 'SHA-256',
+    saltLength = DEFAULT_SALT_LENGTH
+  } = kdfParams;
+  const salt = getRandomBytes(saltLength);
+  const kdf = {name: 'PBKDF2', hash, iterations, salt: base64url.encode(salt)};
+  const key = await _deriveKey({password, kdf});
+  const iv = getRandomBytes(IV_LENGTH);
+  let ciphertext;
+  try {
+    ciphertext = await aesGcmEncrypt(
+      {key, iv, plaintext: privateKey, additionalData});
+  } finally {
+    zeroize(key);
+  }
+  return {
+    kdf,
+    cipher: {name: 'AES-GCM', iv: base64url.encode(iv)},
+    ciphertext: base64url.encode(ciphertext)
+  };
+}
+
+/**
+ * Decrypts a private key encrypted by `encryptPrivateKey()`.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.encryptedPrivateKey - The `kdf`, `cipher` and
+ *   `ciphertext` of the encrypted key.
+ * @param {string|Uint8Array} options.password - The password.
+ * @param {Uint8Array} options.additionalData - The authenticated data.
+ *
+ * @returns {Promise<Uint8Array>} The private key bytes.
+ */
+export async function decryptPrivateKey({
+  encryptedPrivateKey, password, additionalData
+}) {
+  const {kdf, cipher, ciphertext} = encryptedPrivateKey || {};
+  if(!(kdf && kdf.name === 'PBKDF2')) {
+    throw new UnsupportedFormatError(
+      'Unsupported encrypted key KDF; expecting "PBKDF2".');
+  }
+  if(!(Number.isInteger(kdf.iterations) && kdf.iterations > 0)) {
+    throw new UnsupportedFormatError(
+      'PBKDF2 "iterations" must be a positive integer.');
+  }
+  if(!(cipher && cipher.name === 'AES-GCM')) {
+    throw new UnsupportedFormatError(
+      'Unsupported encrypted key cipher; expecting "AES-GCM".');
+  }
+  const key = await _deriveKey({password, kdf});
+  let privateKey;
+  try {
+    privateKey = await aesGcmDecrypt({
+      key, iv: base64url.decode(cipher.iv),
+      ciphertext: base64url.decode(ciphertext), additionalData
+    });
+  } finally {
+    zeroize(key);
+  }
+  if(!privateKey) {
+    throw new DecryptionError('Invalid password or corrupted encrypted key.');
+  }
+  return privateKey;
+}
+
+async function _deriveKey({password, kdf}) {
+  if(typeof password === 'string') {
+    password = new TextEncoder().encode(password.normalize('NFKC'));
+  }
+  if(!(password instanceof Uint8Array && password.length > 0)) {
+    throw new TypeError('"password" must be a non-empty string or bytes.');
+  }
+  // AES-256-GCM key
+  return pbkdf2({
+    hash: kdf.hash,
+    password,
+    salt: base64url.decode(kdf.salt),
+    iterations: kdf.iterations,
+    length: 32
+  });
+}
@@ -0,0 +1,182 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Base class of the errors thrown by this library. Each subclass has a stable
+ * `code` (such as `ERR_INVALID_KEY`) that callers can switch on instead of
+ * matching messages, which may change.
+ */
+export class X25519Error extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options hashmap.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, {cause} = {}) {
+    super(message);
+    this.name = 'X25519Error';
+    this.code = 'ERR_X25519';
+    // set directly, runtimes before Node.js 16.9 ignore the `Error` option
+    if(cause !== undefined) {
+      this.cause = cause;
+    }
+  }
+}
+
+/**
+ * Thrown when key material is malformed or inconsistent: not valid base58 or
+ * multibase, the wrong length, not a valid Ed25519 key to convert, or a
+ * private key that does not match its public key. Also thrown when an
+ * operation needs a private key that the key pair does not have.
+ */
+export class InvalidKeyError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options hashmap.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'InvalidKeyError';
+    this.code = 'ERR_INVALID_KEY';
+  }
+}
+
+/**
+ * Thrown for well-formed input in a format, key type or algorithm that is not
+ * supported, such as a fingerprint with another multicodec header or an
+ * unknown export format.
+ */
+export class UnsupportedFormatError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options hashmap.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'UnsupportedFormatError';
+    this.code = 'ERR_UNSUPPORTED_FORMAT';
+  }
+}
+
+/**
+ * Thrown when key agreement fails or would not be contributory, for example
+ * because the remote public key is a low-order point.
+ */
+export class KeyAgreementError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options hashmap.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'KeyAgreementError';
+    this.code = 'ERR_KEY_AGREEMENT';
+  }
+}
+
+/**
+ * Thrown when a revoked or expired key is used for key agreement while
+ * lifecycle checks are enabled (see the `checkActive` option).
+ */
+export class InactiveKeyError extends KeyAgreementError {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options hashmap.
+   * @param {string} [options.keyId] - The `id` of the inactive key.
+   * @param {string} [options.reason] - `revoked` or `expired`.
+   */
+  constructor(message, {keyId, reason} = {}) {
+    super(message);
+    this.name = 'InactiveKeyError';
+    this.code = 'ERR_KEY_INACTIVE';
+    this.keyId = keyId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Thrown when an operation needs the private key of a key pair that has been
+ * destroyed (see `destroy()`).
+ */
+export class DestroyedKeyError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'DestroyedKeyError';
+    this.code = 'ERR_KEY_DESTROYED';
+  }
+}
+
+/**
+ * Thrown when a key that an operation needs is not in a key store (see
+ * `KeyStore`) or a `did:key` DID document.
+ */
+export class KeyNotFoundError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'KeyNotFoundError';
+    this.code = 'ERR_KEY_NOT_FOUND';
+  }
+}
+
+/**
+ * Thrown when a ciphertext (a box, JWE, HPKE message or encrypted key) cannot
+ * be decrypted, because the key or password is wrong or the ciphertext has
+ * been tampered with. The two cases are deliberately not told apart.
+ */
+export class DecryptionError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options hashmap.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'DecryptionError';
+    this.code = 'ERR_DECRYPTION';
+  }
+}
+
+/**
+ * Thrown when an object is used in a way that its state does not allow, such
+ * as sealing with a recipient HPKE context, or when an HPKE context or an
+ * encrypted stream has reached its message limit.
+ */
+export class InvalidStateError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidStateError';
+    this.code = 'ERR_INVALID_STATE';
+  }
+}
+
+/**
+ * Thrown when a crypto backend is unknown, already registered or not
+ * supported in the current runtime (see `registerBackend()`), or when a
+ * runtime feature that an operation needs, such as WebCrypto or a stream
+ * API, is not available.
+ */
+export class BackendError extends X25519Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {object} [options] - Options hashmap.
+   * @param {Error} [options.cause] - The underlying error, if any.
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'BackendError';
+    this.code = 'ERR_BACKEND';
+  }
+}
@@ -0,0 +1,419 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decode, encode} from 'base58-universal';
+import {ChaCha20Poly1305} from '@stablelib/chacha20poly1305';
+import {concat} from './bytes.js';
+import {aesGcmDecrypt, aesGcmEncrypt} from './primitives.js';
+import {hkdfExpand, hkdfExtract} from './kdf.js';
+import {X25519KeyAgreementKey2019} from './X25519KeyAgreementKey2019.js';
+import {zeroize} from './zeroize.js';
+import {
+  DecryptionError, InvalidStateError, UnsupportedFormatError
+} from './errors.js';
+
+// Hybrid Public Key Encryption (RFC 9180) with DHKEM(X25519, HKDF-SHA256)
+// and HKDF-SHA256, using key agreement keys for all DH operations
+
+export const MODE_BASE = 0x00;
+export const MODE_PSK = 0x01;
+export const MODE_AUTH = 0x02;
+export const MODE_AUTH_PSK = 0x03;
+
+export const KEM_DHKEM_X25519_HKDF_SHA256 = 0x0020;
+export const KDF_HKDF_SHA256 = 0x0001;
+export const AEAD_AES_128_GCM = 0x0001;
+export const AEAD_AES_256_GCM = 0x0002;
+export const AEAD_CHACHA20_POLY1305 = 0x0003;
+export const AEAD_EXPORT_ONLY = 0xffff;
+
+const N_SECRET = 32;
+const N_ENC = 32;
+const N_H = 32;
+const N_N = 12;
+
+const AEADS = new Map([
+  [AEAD_AES_128_GCM, {keyLength: 16, ..._aesGcm()}],
+  [AEAD_AES_256_GCM, {keyLength: 32, ..._aesGcm()}],
+  [AEAD_CHACHA20_POLY1305, {
+    keyLength: 32,
+    async seal({key, nonce, aad, plaintext}) {
+      return new ChaCha20Poly1305(key).seal(nonce, plaintext, aad);
+    },
+    async open({key, nonce, aad, ciphertext}) {
+      return new ChaCha20Poly1305(key).open(nonce, ciphertext, aad);
+    }
+  }],
+  [AEAD_EXPORT_ONLY, {keyLength: 0}]
+]);
+
+const HPKE_V1 = _utf8('HPKE-v1');
+const KEM_SUITE_ID = concat(
+  _utf8('KEM'), _i2osp(KEM_DHKEM_X25519_HKDF_SHA256, 2));
+
+/**
+ * An HPKE encryption context, for sending (`seal()`) or receiving
+ * (`open()`) a sequence of messages, and for exporting secrets.
+ */
+class Context {
+  constructor({suiteId, aead, key, baseNonce, exporterSecret, role}) {
+    this._suiteId = suiteId;
+    this._aead = aead;
+    this._key = key;
+    this._baseNonce = baseNonce;
+    this._exporterSecret = exporterSecret;
+    this._role = role;
+    this._seq = 0;
+  }
+
+  /**
+   * Encrypts the next message (sender contexts only).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array} options.plaintext - The message.
+   * @param {Uint8Array} [options.aad] - Additional authenticated data.
+   *
+   * @returns {Promise<Uint8Array>} The ciphertext.
+   */
+  async seal({plaintext, aad = new Uint8Array()}) {
+    if(this._role !== 'sender') {
+      throw new InvalidStateError('Only a sender context can seal.');
+    }
+    this._assertAead();
+    const nonce = this._computeNonce();
+    const ciphertext = await this._aead.seal(
+      {key: this._key, nonce, aad, plaintext});
+    this._seq++;
+    return ciphertext;
+  }
+
+  /**
+   * Decrypts the next message (recipient contexts only).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array} options.ciphertext - The ciphertext.
+   * @param {Uint8Array} [options.aad] - Additional authenticated data.
+   *
+   * @returns {Promise<Uint8Array>} The message.
+   */
+  async open({ciphertext, aad = new Uint8Array()}) {
+    if(this._role !== 'recipient') {
+      throw new InvalidStateError('Only a recipient context can open.');
+    }
+    this._assertAead();
+    const nonce = this._computeNonce();
+    const plaintext = await this._aead.open(
+      {key: this._key, nonce, aad, ciphertext});
+    if(!plaintext) {
+      throw new DecryptionError('HPKE decryption failed.');
+    }
+    this._seq++;
+    return plaintext;
+  }
+
+  /**
+   * Exports a secret from the context (RFC 9180 Section 5.3).
+   *
+   * @param {object} options - Options hashmap.
+   * @param {Uint8Array} [options.exporterContext] - The exporter context.
+   * @param {number} options.length - The length of the secret, in bytes.
+   *
+   * @returns {Promise<Uint8Array>} The exported secret.
+   */
+  async export({exporterContext = new Uint8Array(), length}) {
+    if(!(Number.isInteger(length) && length > 0 && length <= 255 * N_H)) {
+      throw new RangeError('"length" must be between 1 and 8160.');
+    }
+    return _labeledExpand({
+      suiteId: this._suiteId, prk: this._exporterSecret, label: 'sec',
+      info: exporterContext, length
+    });
+  }
+
+  _assertAead() {
+    if(!this._aead.seal) {
+      throw new InvalidStateError(
+        'Export-only contexts cannot seal or open.');
+    }
+  }
+
+  _computeNonce() {
+    if(this._seq >= Number.MAX_SAFE_INTEGER) {
+      throw new InvalidStateError('HPKE message limit reached.');
+    }
+    const nonce = _i2osp(this._seq, N_N);
+    for(let i = 0; i < N_N; ++i) {
+      nonce[i] ^= this._baseNonce[i];
+    }
+    return nonce;
+  }
+}
+
+/**
+ * Derives a key pair deterministically from input keying material
+ * (`DeriveKeyPair()`, RFC 9180 Section 7.1.3).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.ikm - At least 32 bytes of keying material.
+ *
+ * @returns {Promise<X25519KeyAgreementKey2019>} The key pair.
+ */
+export async function deriveKeyPair({ikm}) {
+  if(!(ikm instanceof Uint8Array && ikm.length >= N_SECRET)) {
+    throw new TypeError(`"ikm" must be at least ${N_SECRET} bytes.`);
+  }
+  const dkpPrk = await _labeledExtract(
+    {suiteId: KEM_SUITE_ID, label: 'dkp_prk', ikm});
+  const seed = await _labeledExpand({
+    suiteId: KEM_SUITE_ID, prk: dkpPrk, label: 'sk', length: N_SECRET
+  });
+  return X25519KeyAgreementKey2019.generate({seed});
+}
+
+/**
+ * Sets up a sender context (RFC 9180 Section 5.1). The mode follows from
+ * the options: `psk` selects the PSK modes and `senderKey` the auth modes.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {X25519KeyAgreementKey2019} options.recipientKey - The recipient's
+ *   public key.
+ * @param {Uint8Array} [options.info] - Application info.
+ * @param {Uint8Array} [options.psk] - Pre-shared key (PSK modes).
+ * @param {Uint8Array} [options.pskId] - Pre-shared key id (PSK modes).
+ * @param {X25519KeyAgreementKey2019} [options.senderKey] - The sender's key
+ *   pair, with a private key or key agreer (auth modes).
+ * @param {number} [options.aead=AEAD_AES_128_GCM] - The AEAD id.
+ * @param {X25519KeyAgreementKey2019} [options.ephemeralKeyPair] - For
+ *   testing only: the ephemeral key pair to use.
+ *
+ * @returns {Promise<{enc: Uint8Array, context: object}>} The encapsulated
+ *   key and the sender context.
+ */
+export async function setupSender({
+  recipientKey, info, psk, pskId, senderKey, aead = AEAD_AES_128_GCM,
+  ephemeralKeyPair
+}) {
+  const mode = _getMode({psk, pskId, senderKey});
+  const ephemeral = ephemeralKeyPair ||
+    await X25519KeyAgreementKey2019.generate({binaryPrivateKey: true});
+  const enc = decode(ephemeral.publicKeyBase58);
+  let dh;
+  try {
+    dh = [await ephemeral.deriveSecret({publicKey: recipientKey})];
+  } finally {
+    if(ephemeral !== ephemeralKeyPair) {
+      ephemeral.destroy();
+    }
+  }
+  const kemContext = [enc, decode(recipientKey.publicKeyBase58)];
+  if(senderKey) {
+    dh.push(await senderKey.deriveSecret({publicKey: recipientKey}));
+    kemContext.push(decode(senderKey.publicKeyBase58));
+  }
+  const sharedSecret = await _extractAndExpand(
+    {dh: concat(...dh), kemContext: concat(...kemContext)});
+  zeroize(...dh);
+  const context = await _keySchedule(
+    {mode, sharedSecret, info, psk, pskId, aead, role: 'sender'});
+  return {enc, context};
+}
+
+/**
+ * Sets up a recipient context (RFC 9180 Section 5.1).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.enc - The encapsulated key.
+ * @param {X25519KeyAgreementKey2019} options.recipientKey - The recipient's
+ *   key pair, with a private key or key agreer.
+ * @param {Uint8Array} [options.info] - Application info.
+ * @param {Uint8Array} [options.psk] - Pre-shared key (PSK modes).
+ * @param {Uint8Array} [options.pskId] - Pre-shared key id (PSK modes).
+ * @param {X25519KeyAgreementKey2019} [options.senderKey] - The sender's
+ *   public key (auth modes).
+ * @param {number} [options.aead=AEAD_AES_128_GCM] - The AEAD id.
+ *
+ * @returns {Promise<object>} The recipient context.
+ */
+export async function setupRecipient({
+  enc, recipientKey, info, psk, pskId, senderKey, aead = AEAD_AES_128_GCM
+}) {
+  if(!(enc instanceof Uint8Array && enc.length === N_ENC)) {
+    throw new TypeError(`"enc" must be ${N_ENC} bytes.`);
+  }
+  const mode = _getMode({psk, pskId, senderKey});
+  const ephemeralKey = new X25519KeyAgreementKey2019(
+    {publicKeyBase58: encode(enc)});
+  const dh = [await recipientKey.deriveSecret({publicKey: ephemeralKey})];
+  const kemContext = [enc, decode(recipientKey.publicKeyBase58)];
+  if(senderKey) {
+    dh.push(await recipientKey.deriveSecret({publicKey: senderKey}));
+    kemContext.push(decode(senderKey.publicKeyBase58));
+  }
+  const sharedSecret = await _extractAndExpand(
+    {dh: concat(...dh), kemContext: concat(...kemContext)});
+  zeroize(...dh);
+  return _keySchedule(
+    {mode, sharedSecret, info, psk, pskId, aead, role: 'recipient'});
+}
+
+/**
+ * Single-shot encryption (RFC 9180 Section 6.1).
+ *
+ * @example
+ * > const {enc, ciphertext} = await hpke.seal({
+ *   recipientKey, info, aad, plaintext
+ * });
+ *
+ * @param {object} options - The `setupSender()` options and the following.
+ * @param {Uint8Array} options.plaintext - The message.
+ * @param {Uint8Array} [options.aad] - Additional authenticated data.
+ *
+ * @returns {Promise<{enc: Uint8Array, ciphertext: Uint8Array}>} The
+ *   encapsulated key and the ciphertext.
+ */
+export async function seal({plaintext, aad, ...options}) {
+  const {enc, context} = await setupSender(options);
+  const ciphertext = await context.seal({plaintext, aad});
+  return {enc, ciphertext};
+}
+
+/**
+ * Single-shot decryption (RFC 9180 Section 6.1).
+ *
+ * @param {object} options - The `setupRecipient()` options and the following.
+ * @param {Uint8Array} options.ciphertext - The ciphertext.
+ * @param {Uint8Array} [options.aad] - Additional authenticated data.
+ *
+ * @returns {Promise<Uint8Array>} The message.
+ */
+export async function open({ciphertext, aad, ...options}) {
+  const context = await setupRecipient(options);
+  return context.open({ciphertext, aad});
+}
+
+/**
+ * Single-shot secret export for the sender (RFC 9180 Section 6.2).
+ *
+ * @param {object} options - The `setupSender()` options and the following.
+ * @param {Uint8Array} [options.exporterContext] - The exporter context.
+ * @param {number} options.length - The length of the secret, in bytes.
+ *
+ * @returns {Promise<{enc: Uint8Array, exported: Uint8Array}>} The
+ *   encapsulated key and the exported secret.
+ */
+export async function sendExport({exporterContext, length, ...options}) {
+  const {enc, context} = await setupSender(options);
+  const exported = await context.export({exporterContext, length});
+  return {enc, exported};
+}
+
+/**
+ * Single-shot secret export for the recipient (RFC 9180 Section 6.2).
+ *
+ * @param {object} options - The `setupRecipient()` options and the following.
+ * @param {Uint8Array} [options.exporterContext] - The exporter context.
+ * @param {number} options.length - The length of the secret, in bytes.
+ *
+ * @returns {Promise<Uint8Array>} The exported secret.
+ */
+export async function receiveExport({exporterContext, length, ...options}) {
+  const context = await setupRecipient(options);
+  return context.export({exporterContext, length});
+}
+
+// checks the psk inputs (RFC 9180 Section 5.1.1): an empty `psk` or
+// `pskId` is the same as none, and both or neither must be given
+function _getMode({psk, pskId, senderKey}) {
+  const gotPsk = !!psk && psk.length > 0;
+  if(gotPsk !== (!!pskId && pskId.length > 0)) {
+    throw new TypeError('"psk" and "pskId" must be given together.');
+  }
+  if(gotPsk && psk.length < 32) {
+    throw new RangeError('"psk" must be at least 32 bytes.');
+  }
+  if(senderKey) {
+    return gotPsk ? MODE_AUTH_PSK : MODE_AUTH;
+  }
+  return gotPsk ? MODE_PSK : MODE_BASE;
+}
+
+async function _extractAndExpand({dh, kemContext}) {
+  const eaePrk = await _labeledExtract(
+    {suiteId: KEM_SUITE_ID, label: 'eae_prk', ikm: dh});
+  zeroize(dh);
+  return _labeledExpand({
+    suiteId: KEM_SUITE_ID, prk: eaePrk, label: 'shared_secret',
+    info: kemContext, length: N_SECRET
+  });
+}
+
+async function _keySchedule({
+  mode, sharedSecret, info = new Uint8Array(), psk = new Uint8Array(),
+  pskId = new Uint8Array(), aead: aeadId, role
+}) {
+  const aead = AEADS.get(aeadId);
+  if(!aead) {
+    throw new UnsupportedFormatError(`Unsupported HPKE AEAD "${aeadId}".`);
+  }
+  const suiteId = concat(
+    _utf8('HPKE'), _i2osp(KEM_DHKEM_X25519_HKDF_SHA256, 2),
+    _i2osp(KDF_HKDF_SHA256, 2), _i2osp(aeadId, 2));
+  const pskIdHash = await _labeledExtract(
+    {suiteId, label: 'psk_id_hash', ikm: pskId});
+  const infoHash = await _labeledExtract(
+    {suiteId, label: 'info_hash', ikm: info});
+  const keyScheduleContext = concat(
+    new Uint8Array([mode]), pskIdHash, infoHash);
+  const secret = await _labeledExtract(
+    {suiteId, salt: sharedSecret, label: 'secret', ikm: psk});
+  const expand = ({label, length}) => _labeledExpand(
+    {suiteId, prk: secret, label, info: keyScheduleContext, length});
+  let key;
+  let baseNonce;
+  if(aead.keyLength > 0) {
+    key = await expand({label: 'key', length: aead.keyLength});
+    baseNonce = await expand({label: 'base_nonce', length: N_N});
+  }
+  const exporterSecret = await expand({label: 'exp', length: N_H});
+  return new Context(
+    {suiteId, aead, key, baseNonce, exporterSecret, role});
+}
+
+async function _labeledExtract({suiteId, salt, label, ikm}) {
+  return hkdfExtract({
+    hash: 'SHA-256', salt, ikm: concat(HPKE_V1, suiteId, _utf8(label), ikm)
+  });
+}
+
+async function _labeledExpand({
+  suiteId, prk, label, info = new Uint8Array(), length
+}) {
+  const labeledInfo = concat(
+    _i2osp(length, 2), HPKE_V1, suiteId, _utf8(label), info);
+  return hkdfExpand(
+    {hash: 'SHA-256', prk, info: labeledInfo, length: length * 8});
+}
+
+function _aesGcm() {
+  return {
+    async seal({key, nonce, aad, plaintext}) {
+      return aesGcmEncrypt({key, iv: nonce, plaintext, additionalData: aad});
+    },
+    async open({key, nonce, aad, ciphertext}) {
+      return aesGcmDecrypt({key, iv: nonce, ciphertext, additionalData: aad});
+    }
+  };
+}
+
+function _i2osp(value, length) {
+  const bytes = new Uint8Array(length);
+  for(let i = length - 1; i >= 0 && value > 0; --i) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+function _utf8(value) {
+  return new TextEncoder().encode(value);
+}
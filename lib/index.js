@@ -2,3 +2,15 @@
  * Copyright (c) 2020 Digital Bazaar, Inc. All rights reserved.
  */
 export {X25519KeyAgreementKey2019} from './X25519KeyAgreementKey2019.js';
+export * as jwe from './jwe.js';
+export {
+  BackendError, DecryptionError, DestroyedKeyError, InactiveKeyError,
+  InvalidKeyError, InvalidStateError, KeyAgreementError, KeyNotFoundError,
+  UnsupportedFormatError, X25519Error
+} from './errors.js';
+export {getBackend, getBackendNames, registerBackend} from './backends.js';
+export * as didKey from './didKey.js';
+export * as hpke from './hpke.js';
+export {KeyStore, MemoryKeyStoreAdapter} from './keyStore.js';
+export {FileSystemKeyStoreAdapter} from './keyStoreFs.js';
+export * as stream from './stream.js';
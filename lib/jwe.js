@@ -0,0 +1,428 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {concat, timingSafeEqual} from './bytes.js';
+import * as primitives from './primitives.js';
+import {X25519KeyAgreementKey2019} from './X25519KeyAgreementKey2019.js';
+import {XChaCha20Poly1305} from '@stablelib/xchacha20poly1305';
+import {zeroize} from './zeroize.js';
+import {DecryptionError, UnsupportedFormatError} from './errors.js';
+
+const ECDH_ES = 'ECDH-ES+A256KW';
+// ECDH-1PU key wrapping (draft-madden-jose-ecdh-1pu-04), DIDComm authcrypt
+const ECDH_1PU = new Set(
+  ['ECDH-1PU+A128KW', 'ECDH-1PU+A192KW', 'ECDH-1PU+A256KW']);
+// ECDH-1PU key wrapping requires an AES-CBC + HMAC-SHA2 content encryption
+const ECDH_1PU_ENC = 'A256CBC-HS512';
+
+// content encryption algorithms
+const CIPHERS = new Map([
+  ['XC20P', {
+    keyLength: 32,
+    nonceLength: 24,
+    tagLength: 16,
+    async encrypt({key, iv, plaintext, additionalData}) {
+      const cipher = new XChaCha20Poly1305(key);
+      return cipher.seal(iv, plaintext, additionalData);
+    },
+    async decrypt({key, iv, ciphertext, additionalData}) {
+      const cipher = new XChaCha20Poly1305(key);
+      return cipher.open(iv, ciphertext, additionalData);
+    }
+  }],
+  ['A256GCM', {
+    keyLength: 32,
+    nonceLength: 12,
+    tagLength: 16,
+    async encrypt({key, iv, plaintext, additionalData}) {
+      return primitives.aesGcmEncrypt({key, iv, plaintext, additionalData});
+    },
+    async decrypt({key, iv, ciphertext, additionalData}) {
+      return primitives.aesGcmDecrypt({key, iv, ciphertext, additionalData});
+    }
+  }],
+  // AES_256_CBC_HMAC_SHA_512 (RFC 7518 Section 5.2.5)
+  ['A256CBC-HS512', {
+    keyLength: 64,
+    nonceLength: 16,
+    tagLength: 32,
+    async encrypt({key, iv, plaintext, additionalData}) {
+      const ciphertext = await primitives.aesCbcEncrypt(
+        {key: key.subarray(32), iv, plaintext});
+      const tag = await _cbcHmacTag(
+        {key: key.subarray(0, 32), iv, ciphertext, additionalData});
+      return concat(ciphertext, tag);
+    },
+    async decrypt({key, iv, ciphertext: sealed, additionalData}) {
+      const ciphertext = sealed.subarray(0, sealed.length - 32);
+      const tag = await _cbcHmacTag(
+        {key: key.subarray(0, 32), iv, ciphertext, additionalData});
+      if(!timingSafeEqual(tag, sealed.subarray(ciphertext.length))) {
+        return null;
+      }
+      return primitives.aesCbcDecrypt({key: key.subarray(32), iv, ciphertext});
+    }
+  }]
+]);
+
+/**
+ * Encrypts a payload to one or more X25519 recipients, producing a JWE.
+ *
+ * With `ECDH-ES+A256KW` (the default) a fresh ephemeral key pair is
+ * generated for each recipient; its shared secret is run through the JWA
+ * Concat KDF to derive an AES-256 key wrapping key for the content
+ * encryption key.
+ *
+ * With `ECDH-1PU+A128KW`, `ECDH-1PU+A192KW` or `ECDH-1PU+A256KW` the
+ * `sender` is authenticated as well: a single ephemeral key pair is shared
+ * by all recipients and the key wrapping keys are derived from both the
+ * ephemeral and the sender's static key and bound to the content
+ * encryption tag. The content encryption must be `A256CBC-HS512`. Unless
+ * given, `apu` is the sender's `id` and `apv` is the SHA-256 hash of the
+ * sorted recipient `kid`s joined with `.`, as in DIDComm v2 authcrypt.
+ *
+ * @example
+ * > const jwe = await encrypt({
+ *   recipients: [keyAgreementKey], plaintext, enc: 'XC20P'
+ * });
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Array<X25519KeyAgreementKey2019>} options.recipients - Recipient
+ *   key pairs; each must have an `id`, which is used as the recipient `kid`.
+ * @param {Uint8Array} options.plaintext - The payload to encrypt.
+ * @param {string} [options.alg='ECDH-ES+A256KW'] - Key management
+ *   algorithm, `ECDH-ES+A256KW` or `ECDH-1PU+A128KW`/`A192KW`/`A256KW`.
+ * @param {string} [options.enc] - Content encryption algorithm, `XC20P`
+ *   (the default for `ECDH-ES`), `A256GCM` or `A256CBC-HS512` (the default,
+ *   and only option, for `ECDH-1PU`).
+ * @param {X25519KeyAgreementKey2019} [options.sender] - The sender's key
+ *   pair, with a private key or key agreer; required for `ECDH-1PU`. Its
+ *   `id`, if any, is used as the `skid`.
+ * @param {Uint8Array} [options.apu] - `ECDH-1PU` Agreement PartyUInfo.
+ * @param {Uint8Array} [options.apv] - `ECDH-1PU` Agreement PartyVInfo.
+ * @param {string} [options.serialization='general'] - `general` or
+ *   `flattened` JWE JSON serialization; `flattened` requires exactly one
+ *   recipient.
+ * @param {X25519KeyAgreementKey2019} [options.ephemeralKeyPair] - For
+ *   testing only: the `ECDH-1PU` ephemeral key pair.
+ * @param {Function} [options.getRandomBytes] - For testing only: returns
+ *   the given number of random bytes, used for the content encryption key
+ *   and the IV.
+ *
+ * @returns {Promise<object>} The JWE.
+ */
+export async function encrypt({
+  recipients, plaintext, alg = ECDH_ES, enc, sender, apu, apv,
+  serialization = 'general', ephemeralKeyPair,
+  getRandomBytes = primitives.getRandomBytes
+} = {}) {
+  if(!(Array.isArray(recipients) && recipients.length > 0)) {
+    throw new TypeError('"recipients" must be a non-empty array.');
+  }
+  if(!(plaintext instanceof Uint8Array)) {
+    throw new TypeError('"plaintext" must be a Uint8Array.');
+  }
+  _assertKeyAlgorithm(alg);
+  const is1PU = ECDH_1PU.has(alg);
+  if(enc === undefined) {
+    enc = is1PU ? ECDH_1PU_ENC : 'XC20P';
+  }
+  const cipher = _getCipher(enc);
+  if(is1PU) {
+    _assert1PUEnc(enc);
+    if(!sender) {
+      throw new TypeError(`"sender" is required for "${alg}".`);
+    }
+  }
+  if(!(serialization === 'general' || serialization === 'flattened')) {
+    throw new UnsupportedFormatError(
+      `Unsupported serialization "${serialization}".`);
+  }
+  if(serialization === 'flattened' && recipients.length !== 1) {
+    throw new UnsupportedFormatError(
+      'Flattened serialization requires exactly one recipient.');
+  }
+  for(const recipient of recipients) {
+    if(!recipient.id) {
+      throw new TypeError('Recipient key pair must have an "id".');
+    }
+  }
+
+  const cek = getRandomBytes(cipher.keyLength);
+  const iv = getRandomBytes(cipher.nonceLength);
+  let protectedHeader;
+  let ephemeralKey;
+  if(is1PU) {
+    ephemeralKey = ephemeralKeyPair ||
+      await X25519KeyAgreementKey2019.generate({binaryPrivateKey: true});
+    if(apu === undefined && sender.id) {
+      apu = new TextEncoder().encode(sender.id);
+    }
+    if(apv === undefined) {
+      const kids = recipients.map(({id}) => id).sort().join('.');
+      apv = await primitives.digest(
+        {hash: 'SHA-256', data: new TextEncoder().encode(kids)});
+    }
+    const header = {alg, enc};
+    if(sender.id) {
+      header.skid = sender.id;
+    }
+    if(apu) {
+      header.apu = base64url.encode(apu);
+    }
+    header.apv = base64url.encode(apv);
+    header.epk = ephemeralKey.toJwk();
+    protectedHeader = _encodeJson(header);
+  } else {
+    protectedHeader = _encodeJson({enc});
+  }
+
+  const additionalData = new TextEncoder().encode(protectedHeader);
+  const sealed = await cipher.encrypt(
+    {key: cek, iv, plaintext, additionalData});
+  const ciphertext = sealed.subarray(0, sealed.length - cipher.tagLength);
+  const tag = sealed.subarray(sealed.length - cipher.tagLength);
+
+  let jweRecipients;
+  try {
+    jweRecipients = await Promise.all(recipients.map(recipient => is1PU ?
+      _wrapKey1PU({
+        cek, alg, sender, ephemeralKey, recipient, apu, apv, tag
+      }) :
+      _wrapKey({cek, recipient})));
+  } finally {
+    if(ephemeralKey && ephemeralKey !== ephemeralKeyPair) {
+      ephemeralKey.destroy();
+    }
+    zeroize(cek);
+  }
+
+  const jwe = {protected: protectedHeader};
+  if(serialization === 'general') {
+    jwe.recipients = jweRecipients;
+  } else {
+    Object.assign(jwe, jweRecipients[0]);
+  }
+  jwe.iv = base64url.encode(iv);
+  jwe.ciphertext = base64url.encode(ciphertext);
+  jwe.tag = base64url.encode(tag);
+  return jwe;
+}
+
+/**
+ * Decrypts a JWE (general or flattened JSON serialization) that was
+ * encrypted to the given key agreement key.
+ *
+ * @example
+ * > const plaintext = await decrypt({jwe, keyAgreementKey});
+ *
+ * @param {object} options - Options hashmap.
+ * @param {object} options.jwe - The JWE.
+ * @param {X25519KeyAgreementKey2019} options.keyAgreementKey - The
+ *   recipient's key pair, with a private key and an `id`, which is matched
+ *   against the recipient `kid`.
+ * @param {X25519KeyAgreementKey2019} [options.senderKey] - The sender's
+ *   public key; required for `ECDH-1PU`. If the JWE has a `skid` and the
+ *   key has an `id`, they must match.
+ *
+ * @returns {Promise<Uint8Array>} The decrypted payload.
+ */
+export async function decrypt({jwe, keyAgreementKey, senderKey} = {}) {
+  if(!(jwe && typeof jwe === 'object')) {
+    throw new TypeError('"jwe" must be an object.');
+  }
+  if(!keyAgreementKey) {
+    throw new TypeError('"keyAgreementKey" is required.');
+  }
+  if(!keyAgreementKey.id) {
+    // otherwise it would match a recipient without a `kid`
+    throw new TypeError('"keyAgreementKey" must have an "id".');
+  }
+  const protectedHeader = _decodeJson(jwe.protected);
+  const {enc} = protectedHeader;
+  const cipher = _getCipher(enc);
+
+  const recipients = jwe.recipients ||
+    [{header: jwe.header, encrypted_key: jwe.encrypted_key}];
+  // recipient header parameters may also be in the protected header
+  const recipient = recipients.find(({header}) =>
+    ({...protectedHeader, ...header}).kid === keyAgreementKey.id);
+  if(!recipient) {
+    throw new DecryptionError(
+      'No matching recipient found for key agreement key.');
+  }
+  const header = {...protectedHeader, ...recipient.header};
+  _assertKeyAlgorithm(header.alg);
+  let cek;
+  if(ECDH_1PU.has(header.alg)) {
+    _assert1PUEnc(enc);
+    if(!senderKey) {
+      throw new TypeError(`"senderKey" is required for "${header.alg}".`);
+    }
+    if(header.skid && senderKey.id && header.skid !== senderKey.id) {
+      throw new DecryptionError(
+        `"senderKey" id "${senderKey.id}" does not match "${header.skid}".`);
+    }
+    cek = await _unwrapKey1PU({
+      header, encryptedKey: recipient.encrypted_key, senderKey,
+      keyAgreementKey, tag: base64url.decode(jwe.tag)
+    });
+  } else {
+    cek = await _unwrapKey(
+      {header, encryptedKey: recipient.encrypted_key, keyAgreementKey});
+  }
+
+  const additionalData = new TextEncoder().encode(jwe.protected);
+  const plaintext = await cipher.decrypt({
+    key: cek,
+    iv: base64url.decode(jwe.iv),
+    ciphertext: concat(
+      base64url.decode(jwe.ciphertext), base64url.decode(jwe.tag)),
+    additionalData
+  });
+  if(!plaintext) {
+    throw new DecryptionError(
+      'Invalid decryption key or corrupted ciphertext.');
+  }
+  return plaintext;
+}
+
+async function _wrapKey({cek, recipient}) {
+  const ephemeralKeyPair = await X25519KeyAgreementKey2019.generate(
+    {binaryPrivateKey: true});
+  const epk = ephemeralKeyPair.toJwk();
+  const apu = base64url.decode(epk.x);
+  const apv = new TextEncoder().encode(recipient.id);
+  let kek;
+  try {
+    kek = await ephemeralKeyPair.deriveSharedKey({
+      publicKey: recipient, kdf: 'ConcatKDF', algorithm: ECDH_ES,
+      apu, apv
+    });
+  } finally {
+    ephemeralKeyPair.destroy();
+  }
+  return {
+    header: {
+      kid: recipient.id,
+      alg: ECDH_ES,
+      epk,
+      apu: base64url.encode(apu),
+      apv: base64url.encode(apv)
+    },
+    encrypted_key: await _wrap({cek, kek})
+  };
+}
+
+async function _wrapKey1PU({
+  cek, alg, sender, ephemeralKey, recipient, apu, apv, tag
+}) {
+  const kek = await X25519KeyAgreementKey2019.derive1PU({
+    senderKey: sender, ephemeralKey, recipientKey: recipient,
+    algorithm: alg, apu, apv, tag
+  });
+  return {
+    header: {kid: recipient.id},
+    encrypted_key: await _wrap({cek, kek})
+  };
+}
+
+async function _unwrapKey({header, encryptedKey, keyAgreementKey}) {
+  if(header.alg !== ECDH_ES) {
+    throw new UnsupportedFormatError(
+      `Unsupported key algorithm "${header.alg}".`);
+  }
+  const ephemeralKey = X25519KeyAgreementKey2019.fromJwk({jwk: header.epk});
+  const kek = await keyAgreementKey.deriveSharedKey({
+    publicKey: ephemeralKey, kdf: 'ConcatKDF', algorithm: ECDH_ES,
+    apu: header.apu ? base64url.decode(header.apu) : undefined,
+    apv: header.apv ? base64url.decode(header.apv) : undefined
+  });
+  return _unwrap({encryptedKey, kek});
+}
+
+async function _unwrapKey1PU({
+  header, encryptedKey, senderKey, keyAgreementKey, tag
+}) {
+  const kek = await X25519KeyAgreementKey2019.derive1PU({
+    senderKey,
+    ephemeralKey: X25519KeyAgreementKey2019.fromJwk({jwk: header.epk}),
+    recipientKey: keyAgreementKey,
+    algorithm: header.alg,
+    apu: header.apu ? base64url.decode(header.apu) : undefined,
+    apv: header.apv ? base64url.decode(header.apv) : undefined,
+    tag
+  });
+  return _unwrap({encryptedKey, kek});
+}
+
+async function _wrap({cek, kek}) {
+  try {
+    return base64url.encode(await primitives.aesKwWrap({kek, key: cek}));
+  } finally {
+    zeroize(kek);
+  }
+}
+
+async function _unwrap({encryptedKey, kek}) {
+  let cek;
+  try {
+    cek = await primitives.aesKwUnwrap(
+      {kek, wrappedKey: base64url.decode(encryptedKey)});
+  } finally {
+    zeroize(kek);
+  }
+  if(!cek) {
+    throw new DecryptionError(
+      'Invalid decryption key or corrupted ciphertext.');
+  }
+  return cek;
+}
+
+async function _cbcHmacTag({key, iv, ciphertext, additionalData}) {
+  // `AL` is the bit length of the additional data as a 64-bit big-endian
+  const al = new Uint8Array(8);
+  const bits = additionalData.length * 8;
+  const view = new DataView(al.buffer);
+  view.setUint32(0, Math.floor(bits / 0x100000000));
+  view.setUint32(4, bits >>> 0);
+  const mac = await primitives.hmac({
+    hash: 'SHA-512', key, data: concat(additionalData, iv, ciphertext, al)
+  });
+  return mac.subarray(0, 32);
+}
+
+function _assertKeyAlgorithm(alg) {
+  if(!(alg === ECDH_ES || ECDH_1PU.has(alg))) {
+    throw new UnsupportedFormatError(`Unsupported key algorithm "${alg}".`);
+  }
+}
+
+function _assert1PUEnc(enc) {
+  if(enc !== ECDH_1PU_ENC) {
+    throw new UnsupportedFormatError(
+      `"ECDH-1PU" key wrapping requires "${ECDH_1PU_ENC}" content ` +
+      `encryption; got "${enc}".`);
+  }
+}
+
+function _getCipher(enc) {
+  const cipher = CIPHERS.get(enc);
+  if(!cipher) {
+    throw new UnsupportedFormatError(
+      `Unsupported content encryption algorithm "${enc}".`);
+  }
+  return cipher;
+}
+
+function _encodeJson(value) {
+  return base64url.encode(new TextEncoder().encode(JSON.stringify(value)));
+}
+
+function _decodeJson(value) {
+  if(typeof value !== 'string') {
+    throw new TypeError('JWE "protected" header must be a string.');
+  }
+  return JSON.parse(new TextDecoder().decode(base64url.decode(value)));
+}
@@ -0,0 +1,250 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {concat} from './bytes.js';
+import {digest, hmac} from './primitives.js';
+import {webcrypto} from './webcrypto.js';
+import {zeroize} from './zeroize.js';
+import {BackendError, UnsupportedFormatError} from './errors.js';
+
+const HKDF_HASHES = new Map([
+  ['HKDF-SHA256', 'SHA-256'],
+  ['HKDF-SHA384', 'SHA-384'],
+  ['HKDF-SHA512', 'SHA-512']
+]);
+
+const HASH_LENGTHS = new Map([
+  ['SHA-256', 32],
+  ['SHA-384', 48],
+  ['SHA-512', 64]
+]);
+
+// JOSE algorithm identifiers mapped to WebCrypto key import parameters
+const KEY_ALGORITHMS = new Map([
+  ['A128KW', {name: 'AES-KW', length: 128, usages: ['wrapKey', 'unwrapKey']}],
+  ['A192KW', {name: 'AES-KW', length: 192, usages: ['wrapKey', 'unwrapKey']}],
+  ['A256KW', {name: 'AES-KW', length: 256, usages: ['wrapKey', 'unwrapKey']}],
+  ['A128GCM', {name: 'AES-GCM', length: 128, usages: ['encrypt', 'decrypt']}],
+  ['A192GCM', {name: 'AES-GCM', length: 192, usages: ['encrypt', 'decrypt']}],
+  ['A256GCM', {name: 'AES-GCM', length: 256, usages: ['encrypt', 'decrypt']}],
+  ['HS256', {name: 'HMAC', hash: 'SHA-256', length: 256,
+    usages: ['sign', 'verify']}],
+  ['HS384', {name: 'HMAC', hash: 'SHA-384', length: 384,
+    usages: ['sign', 'verify']}],
+  ['HS512', {name: 'HMAC', hash: 'SHA-512', length: 512,
+    usages: ['sign', 'verify']}]
+]);
+
+/**
+ * Derives key material from a shared secret.
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.secret - The shared secret, for example the
+ *   output of X25519 key agreement.
+ * @param {string} [options.kdf='HKDF-SHA256'] - One of `HKDF-SHA256`,
+ *   `HKDF-SHA384`, `HKDF-SHA512` or `ConcatKDF`.
+ * @param {string} [options.algorithm] - The JOSE algorithm identifier of the
+ *   key to derive (e.g. `A256KW`, `ECDH-ES+A256KW`, `A256GCM`, `HS256`);
+ *   used as the Concat KDF `AlgorithmID` and to determine the default key
+ *   length.
+ * @param {number} [options.keyLength] - The length of the derived key, in
+ *   bits; defaults to the length required by `algorithm`, or 256.
+ * @param {Uint8Array} [options.info] - HKDF `info` parameter.
+ * @param {Uint8Array} [options.salt] - HKDF `salt` parameter.
+ * @param {Uint8Array} [options.apu] - Concat KDF `PartyUInfo`.
+ * @param {Uint8Array} [options.apv] - Concat KDF `PartyVInfo`.
+ * @param {Uint8Array} [options.tag] - Concat KDF content encryption tag,
+ *   appended to `SuppPubInfo` for ECDH-1PU key wrapping.
+ *
+ * @returns {Promise<Uint8Array>} The derived key bytes.
+ */
+export async function deriveKey({
+  secret, kdf = 'HKDF-SHA256', algorithm, keyLength, info, salt, apu, apv, tag
+} = {}) {
+  if(keyLength === undefined) {
+    const keyAlgorithm = algorithm && _getKeyAlgorithm(algorithm);
+    keyLength = keyAlgorithm ? keyAlgorithm.length : 256;
+  }
+  if(!(Number.isInteger(keyLength) && keyLength > 0 && keyLength % 8 === 0)) {
+    throw new TypeError('"keyLength" must be a positive multiple of 8.');
+  }
+  if(HKDF_HASHES.has(kdf)) {
+    return hkdf({
+      secret, hash: HKDF_HASHES.get(kdf), salt, info, length: keyLength
+    });
+  }
+  if(kdf === 'ConcatKDF') {
+    if(typeof algorithm !== 'string') {
+      throw new TypeError('"algorithm" is required for Concat KDF.');
+    }
+    return concatKdf({secret, algorithm, apu, apv, tag, length: keyLength});
+  }
+  throw new UnsupportedFormatError(`Unsupported KDF "${kdf}".`);
+}
+
+/**
+ * Imports derived key bytes as a WebCrypto key for the given JOSE algorithm.
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.key - The raw key bytes.
+ * @param {string} options.algorithm - The JOSE algorithm identifier.
+ * @param {boolean} [options.extractable=false] - Whether the key can be
+ *   exported.
+ *
+ * @returns {Promise<CryptoKey>} The imported key.
+ */
+export async function importKey({key, algorithm, extractable = false}) {
+  const keyAlgorithm = _getKeyAlgorithm(algorithm);
+  if(!keyAlgorithm) {
+    throw new UnsupportedFormatError(
+      `Unsupported key algorithm "${algorithm}".`);
+  }
+  const {name, hash, usages} = keyAlgorithm;
+  const params = hash ? {name, hash} : {name};
+  return _subtle().importKey('raw', key, params, extractable, usages);
+}
+
+/**
+ * HKDF (RFC 5869).
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.secret - The input keying material.
+ * @param {string} options.hash - The WebCrypto hash name.
+ * @param {Uint8Array} [options.salt] - The salt.
+ * @param {Uint8Array} [options.info] - The context info.
+ * @param {number} options.length - The output length, in bits.
+ *
+ * @returns {Promise<Uint8Array>} The output keying material.
+ */
+export async function hkdf({secret, hash, salt, info, length}) {
+  const prk = await hkdfExtract({hash, salt, ikm: secret});
+  try {
+    return await hkdfExpand({hash, prk, info, length});
+  } finally {
+    zeroize(prk);
+  }
+}
+
+/**
+ * The HKDF-Extract step (RFC 5869 Section 2.2).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.hash - The WebCrypto hash name.
+ * @param {Uint8Array} [options.salt] - The salt; defaults to zeros.
+ * @param {Uint8Array} options.ikm - The input keying material.
+ *
+ * @returns {Promise<Uint8Array>} The pseudorandom key.
+ */
+export async function hkdfExtract({hash, salt, ikm}) {
+  // an empty salt is equivalent to a hash length of zeros for HMAC, but
+  // WebCrypto does not accept empty HMAC keys
+  if(!salt || salt.length === 0) {
+    salt = new Uint8Array(_getHashLength(hash));
+  }
+  return hmac({hash, key: salt, data: ikm});
+}
+
+/**
+ * The HKDF-Expand step (RFC 5869 Section 2.3).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.hash - The WebCrypto hash name.
+ * @param {Uint8Array} options.prk - The pseudorandom key.
+ * @param {Uint8Array} [options.info] - The context info.
+ * @param {number} options.length - The output length, in bits.
+ *
+ * @returns {Promise<Uint8Array>} The output keying material.
+ */
+export async function hkdfExpand({
+  hash, prk, info = new Uint8Array(), length
+}) {
+  const hashLength = _getHashLength(hash);
+  const byteLength = length / 8;
+  if(!(Number.isInteger(byteLength) && byteLength > 0 &&
+    byteLength <= 255 * hashLength)) {
+    throw new RangeError(
+      `HKDF "length" must be a multiple of 8 bits, up to ${255 * hashLength} ` +
+      'bytes.');
+  }
+  const output = new Uint8Array(Math.ceil(byteLength / hashLength) *
+    hashLength);
+  let previous = new Uint8Array();
+  for(let i = 0; i * hashLength < byteLength; ++i) {
+    previous = await hmac(
+      {hash, key: prk, data: concat(previous, info, new Uint8Array([i + 1]))});
+    output.set(previous, i * hashLength);
+  }
+  try {
+    return output.slice(0, byteLength);
+  } finally {
+    zeroize(output, previous);
+  }
+}
+
+/**
+ * Concat KDF (NIST SP 800-56A single-step KDF with SHA-256) as profiled by
+ * JWA for ECDH-ES (RFC 7518 Section 4.6.2).
+ *
+ * @param {object} options - The options to use.
+ * @param {Uint8Array} options.secret - The shared secret `Z`.
+ * @param {string} options.algorithm - The `AlgorithmID`.
+ * @param {Uint8Array} [options.apu] - `PartyUInfo`.
+ * @param {Uint8Array} [options.apv] - `PartyVInfo`.
+ * @param {Uint8Array} [options.tag] - The content encryption tag; when
+ *   given it is appended, length-prefixed, to `SuppPubInfo` as ECDH-1PU
+ *   requires for key wrapping.
+ * @param {number} options.length - The output length, in bits.
+ *
+ * @returns {Promise<Uint8Array>} The derived key.
+ */
+export async function concatKdf({
+  secret, algorithm, apu = new Uint8Array(), apv = new Uint8Array(), tag,
+  length
+}) {
+  const otherInfo = concat(
+    _lengthPrefixed(new TextEncoder().encode(algorithm)),
+    _lengthPrefixed(apu),
+    _lengthPrefixed(apv),
+    _uint32BE(length),
+    tag ? _lengthPrefixed(tag) : new Uint8Array()
+  );
+  const hashLength = 32;
+  const reps = Math.ceil(length / 8 / hashLength);
+  const output = new Uint8Array(reps * hashLength);
+  for(let i = 0; i < reps; ++i) {
+    const input = concat(_uint32BE(i + 1), secret, otherInfo);
+    output.set(await digest({hash: 'SHA-256', data: input}), i * hashLength);
+  }
+  return output.slice(0, length / 8);
+}
+
+function _getKeyAlgorithm(algorithm) {
+  // key wrapping algorithms, e.g. `ECDH-ES+A256KW` wraps with `A256KW`
+  const [, keyAlgorithm = algorithm] = algorithm.split('+');
+  return KEY_ALGORITHMS.get(keyAlgorithm);
+}
+
+function _getHashLength(hash) {
+  const length = HASH_LENGTHS.get(hash);
+  if(!length) {
+    throw new UnsupportedFormatError(`Unsupported hash "${hash}".`);
+  }
+  return length;
+}
+
+function _subtle() {
+  if(!(webcrypto && webcrypto.subtle)) {
+    throw new BackendError('WebCrypto is required for "cryptoKey" keys.');
+  }
+  return webcrypto.subtle;
+}
+
+function _uint32BE(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value);
+  return bytes;
+}
+
+function _lengthPrefixed(data) {
+  return concat(_uint32BE(data.length), data);
+}
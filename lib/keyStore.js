@@ -0,0 +1,230 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {DestroyedKeyError, KeyNotFoundError} from './errors.js';
+import {X25519KeyAgreementKey2019} from './X25519KeyAgreementKey2019.js';
+
+/**
+ * A key store adapter that keeps copies of key pairs in memory (see
+ * `clone()`), so that binary and native private keys stay as they are. Key
+ * pairs are listed in the order they were first added. Copies that are
+ * replaced or deleted are destroyed.
+ */
+export class MemoryKeyStoreAdapter {
+  constructor() {
+    this._keyPairs = new Map();
+  }
+
+  async put({keyPair}) {
+    _assertNotDestroyed(keyPair);
+    const previous = this._keyPairs.get(keyPair.id);
+    this._keyPairs.set(keyPair.id, keyPair.clone());
+    if(previous) {
+      previous.destroy();
+    }
+  }
+
+  async get({id}) {
+    const keyPair = this._keyPairs.get(id);
+    if(keyPair) {
+      return keyPair.clone();
+    }
+  }
+
+  async delete({id}) {
+    const keyPair = this._keyPairs.get(id);
+    if(!keyPair) {
+      return false;
+    }
+    this._keyPairs.delete(id);
+    keyPair.destroy();
+    return true;
+  }
+
+  async list({privateKey = true} = {}) {
+    return Promise.all([...this._keyPairs.values()].map(keyPair => {
+      if(privateKey) {
+        return keyPair.clone();
+      }
+      return X25519KeyAgreementKey2019.from(keyPair.export({publicKey: true}));
+    }));
+  }
+}
+
+/**
+ * Holds many key agreement key pairs and finds them by `id` or fingerprint,
+ * for example to find the key for the `kid` of an incoming message. Key
+ * pairs are kept by a storage adapter:
+ *
+ * - `MemoryKeyStoreAdapter` (the default) keeps them in memory.
+ * - `FileSystemKeyStoreAdapter` (Node.js only) keeps them in a directory,
+ *   with their private keys encrypted under a password.
+ *
+ * Other adapters implement the async methods `put({keyPair})`, `get({id})`,
+ * `delete({id})` (resolving to whether the key pair was found) and
+ * `list({privateKey})`. Adapters store copies: `get()` and `list()` resolve
+ * to new `X25519KeyAgreementKey2019` instances, and changes to a key pair
+ * only take effect once it is put again. `list({privateKey: false})` may
+ * leave out private keys, which makes it cheaper for encrypted storage.
+ */
+export class KeyStore {
+  /**
+   * @param {object} [options={}] - Options hashmap.
+   * @param {object} [options.adapter] - The storage adapter; defaults to a
+   *   new `MemoryKeyStoreAdapter`.
+   */
+  constructor({adapter = new MemoryKeyStoreAdapter()} = {}) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Adds a key pair, replacing any key pair with the same `id`.
+   *
+   * @example
+   * > await keyStore.put({keyPair});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {X25519KeyAgreementKey2019} options.keyPair - The key pair, which
+   *   must have an `id`.
+   *
+   * @throws {DestroyedKeyError} If the key pair has been destroyed, since
+   *   storing it would drop the stored private key.
+   * @returns {Promise<void>} Resolves once the key pair is stored.
+   */
+  async put({keyPair} = {}) {
+    if(!(keyPair instanceof X25519KeyAgreementKey2019)) {
+      throw new TypeError(
+        '"keyPair" must be an X25519KeyAgreementKey2019 key pair.');
+    }
+    if(!keyPair.id) {
+      throw new TypeError('"keyPair" must have an "id".');
+    }
+    await this.adapter.put({keyPair});
+  }
+
+  /**
+   * Gets a key pair by `id` or by fingerprint (see `fingerprint()`). If more
+   * than one key pair has the fingerprint, the first one listed is returned.
+   *
+   * @example
+   * > const keyPair = await keyStore.get({id: jwe.header.kid});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} [options.id] - The key `id`.
+   * @param {string} [options.fingerprint] - The key fingerprint.
+   *
+   * @returns {Promise<X25519KeyAgreementKey2019|undefined>} The key pair, if
+   *   found.
+   */
+  async get({id, fingerprint} = {}) {
+    id = await this._resolveId({id, fingerprint});
+    if(id !== undefined) {
+      return this.adapter.get({id});
+    }
+  }
+
+  /**
+   * Lists the key pairs in the store, in no particular order.
+   *
+   * @example
+   * > const keyPairs = await keyStore.list({active: true});
+   *
+   * @param {object} [options={}] - Options hashmap.
+   * @param {boolean} [options.active=false] - Only list key pairs that are
+   *   not revoked or expired (see `isActive()`).
+   * @param {Date|string} [options.date=new Date()] - The date at which key
+   *   pairs must be active.
+   * @param {boolean} [options.privateKey=true] - Set to `false` to allow the
+   *   adapter to leave out private keys.
+   *
+   * @returns {Promise<Array<X25519KeyAgreementKey2019>>} The key pairs.
+   */
+  async list({active = false, date = new Date(), privateKey = true} = {}) {
+    const keyPairs = await this.adapter.list({privateKey});
+    if(!active) {
+      return keyPairs;
+    }
+    return keyPairs.filter(keyPair => keyPair.isActive({date}));
+  }
+
+  /**
+   * Deletes a key pair by `id` or by fingerprint.
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} [options.id] - The key `id`.
+   * @param {string} [options.fingerprint] - The key fingerprint.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if a key pair was deleted.
+   */
+  async delete({id, fingerprint} = {}) {
+    id = await this._resolveId({id, fingerprint});
+    if(id === undefined) {
+      return false;
+    }
+    return this.adapter.delete({id});
+  }
+
+  /**
+   * Rotates a key pair: revokes it (keeping it in the store, so that
+   * messages that were encrypted to it can still be decrypted) and adds a
+   * newly generated key pair with the same `controller`.
+   *
+   * @example
+   * > const {keyPair, previousKeyPair} = await keyStore.rotate({id});
+   *
+   * @param {object} options - Options hashmap.
+   * @param {string} [options.id] - The `id` of the key pair to rotate.
+   * @param {string} [options.fingerprint] - Its fingerprint, instead of `id`.
+   * @param {Date|string} [options.date=new Date()] - When the key pair is
+   *   revoked.
+   * @param {object} [options.generateOptions={}] - Options for
+   *   `X25519KeyAgreementKey2019.generate()`, such as an `id` or `backend`
+   *   for the new key pair. An `id` is required if the key pair has no
+   *   `controller` to derive one from.
+   *
+   * @throws {KeyNotFoundError} If the key pair is not in the store.
+   * @returns {Promise<object>} The new `keyPair` and the revoked
+   *   `previousKeyPair`.
+   */
+  async rotate({
+    id, fingerprint, date = new Date(), generateOptions = {}
+  } = {}) {
+    const previousKeyPair = await this.get({id, fingerprint});
+    if(!previousKeyPair) {
+      throw new KeyNotFoundError(
+        `Key "${id === undefined ? fingerprint : id}" not found.`);
+    }
+    if(!previousKeyPair.controller && !generateOptions.id) {
+      throw new TypeError(
+        '"generateOptions.id" is required to rotate a key pair without a ' +
+        '"controller".');
+    }
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: previousKeyPair.controller, ...generateOptions});
+    // store the new key pair first, so that a failure leaves a usable key
+    await this.put({keyPair});
+    previousKeyPair.revoke({date});
+    await this.put({keyPair: previousKeyPair});
+    return {keyPair, previousKeyPair};
+  }
+
+  async _resolveId({id, fingerprint}) {
+    if(id !== undefined) {
+      return id;
+    }
+    if(fingerprint === undefined) {
+      throw new TypeError('Either "id" or "fingerprint" is required.');
+    }
+    const keyPairs = await this.adapter.list({privateKey: false});
+    const keyPair = keyPairs.find(
+      keyPair => keyPair.fingerprint() === fingerprint);
+    return keyPair && keyPair.id;
+  }
+}
+
+// storing a destroyed key pair would replace a stored private key with none
+function _assertNotDestroyed(keyPair) {
+  if(keyPair.destroyed) {
+    throw new DestroyedKeyError('The key pair has been destroyed.');
+  }
+}
@@ -0,0 +1,12 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {BackendError} from './errors.js';
+
+// the filesystem key store adapter is only available in Node.js
+export class FileSystemKeyStoreAdapter {
+  constructor() {
+    throw new BackendError(
+      'FileSystemKeyStoreAdapter is not available in this environment.');
+  }
+}
@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as fs from 'node:fs/promises';
+import {createHash, randomBytes} from 'node:crypto';
+import {DestroyedKeyError} from './errors.js';
+import {join} from 'node:path';
+import {X25519KeyAgreementKey2019} from './X25519KeyAgreementKey2019.js';
+
+/**
+ * A key store adapter (see `KeyStore`) that keeps each key pair in a JSON
+ * file in a directory. Private keys are stored encrypted under a password
+ * (see `exportEncrypted()`); public keys, `id`, `controller`, `revoked` and
+ * `expires` are stored in the clear, but authenticated, so that key pairs can
+ * be found and listed without the password. Node.js only.
+ */
+export class FileSystemKeyStoreAdapter {
+  /**
+   * @param {object} options - Options hashmap.
+   * @param {string} options.path - The directory; it is created (readable by
+   *   the current user only) if it does not exist.
+   * @param {string|Uint8Array} options.password - The password that private
+   *   keys are encrypted under.
+   * @param {object} [options.kdfParams] - PBKDF2 parameters for encrypting
+   *   private keys (see `exportEncrypted()`).
+   */
+  constructor({path, password, kdfParams} = {}) {
+    if(!(typeof path === 'string' && path)) {
+      throw new TypeError('"path" must be a non-empty string.');
+    }
+    this.path = path;
+    this._password = password;
+    this._kdfParams = kdfParams;
+  }
+
+  async put({keyPair}) {
+    // storing a destroyed key pair would replace a stored private key
+    if(keyPair.destroyed) {
+      throw new DestroyedKeyError('The key pair has been destroyed.');
+    }
+    const record = keyPair.hasPrivateKey ?
+      await keyPair.exportEncrypted(
+        {password: this._password, kdfParams: this._kdfParams}) :
+      keyPair.export({publicKey: true});
+    await fs.mkdir(this.path, {recursive: true, mode: 0o700});
+    // write to a temporary file first, so that a file is never half-written
+    const file = this._getFile(keyPair.id);
+    const tmpFile = `${file}.${randomBytes(8).toString('hex')}.tmp`;
+    try {
+      await fs.writeFile(
+        tmpFile, JSON.stringify(record, null, 2), {mode: 0o600});
+      await fs.rename(tmpFile, file);
+    } catch(e) {
+      await _unlink(tmpFile);
+      throw e;
+    }
+  }
+
+  async get({id}) {
+    const record = await _readRecord(this._getFile(id));
+    if(record && record.id === id) {
+      return this._fromRecord({record});
+    }
+  }
+
+  async delete({id}) {
+    return _unlink(this._getFile(id));
+  }
+
+  async list({privateKey = true} = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.path);
+    } catch(e) {
+      if(e.code === 'ENOENT') {
+        return [];
+      }
+      throw e;
+    }
+    const records = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => _readRecord(join(this.path, file))));
+    return Promise.all(records
+      .filter(record => record)
+      .map(record => this._fromRecord({record, privateKey})));
+  }
+
+  async _fromRecord({record, privateKey = true}) {
+    if(privateKey && record.encryptedPrivateKey) {
+      return X25519KeyAgreementKey2019.fromEncrypted(
+        {encryptedKey: record, password: this._password});
+    }
+    const publicRecord = {...record};
+    delete publicRecord.encryptedPrivateKey;
+    return X25519KeyAgreementKey2019.from(publicRecord);
+  }
+
+  // key ids (such as DID URLs) are not valid file names, so they are hashed
+  _getFile(id) {
+    const name = createHash('sha256').update(id).digest('hex');
+    return join(this.path, `${name}.json`);
+  }
+}
+
+async function _readRecord(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch(e) {
+    if(e.code === 'ENOENT') {
+      return;
+    }
+    throw e;
+  }
+}
+
+// resolves to `false` if the file does not exist
+async function _unlink(file) {
+  try {
+    await fs.unlink(file);
+    return true;
+  } catch(e) {
+    if(e.code === 'ENOENT') {
+      return false;
+    }
+    throw e;
+  }
+}
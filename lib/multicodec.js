@@ -0,0 +1,66 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {encode} from 'base58-universal';
+import {decodeBase58} from './validators.js';
+import {UnsupportedFormatError} from './errors.js';
+import {zeroize} from './zeroize.js';
+
+// See https://github.com/multiformats/multicodec/blob/master/table.csv
+
+// multicodec ed25519-pub header as varint
+export const MULTICODEC_ED25519_PUB_HEADER = new Uint8Array([0xed, 0x01]);
+// multicodec ed25519-priv header as varint
+export const MULTICODEC_ED25519_PRIV_HEADER = new Uint8Array([0x80, 0x26]);
+// multicodec x25519-pub header as varint
+export const MULTICODEC_X25519_PUB_HEADER = new Uint8Array([0xec, 0x01]);
+// multicodec x25519-priv header as varint
+export const MULTICODEC_X25519_PRIV_HEADER = new Uint8Array([0x82, 0x26]);
+
+/**
+ * Decodes a given string as a multibase-encoded multicodec value.
+ *
+ * @param {Uint8Array} header - Expected header bytes for the multicodec value.
+ * @param {string} text - Multibase encoded string to decode.
+ *
+ * @throws {UnsupportedFormatError} If the value is not base58btc encoded or
+ *   does not have the expected header (an `InvalidKeyError` is thrown if it
+ *   is not valid base58).
+ * @returns {Uint8Array} Decoded bytes.
+ */
+export function multibaseDecode(header, text) {
+  if(typeof text === 'string' && !text.startsWith('z')) {
+    throw new UnsupportedFormatError(
+      'Multibase value must be base58btc ("z") encoded.');
+  }
+  const mcValue = decodeBase58({
+    value: typeof text === 'string' ? text.slice(1) : text,
+    name: 'multibase value'
+  });
+
+  if(!header.every((val, i) => mcValue[i] === val)) {
+    zeroize(mcValue);
+    throw new UnsupportedFormatError(
+      'Multibase value does not have expected header.');
+  }
+
+  const value = mcValue.slice(header.length);
+  // the value may be a private key
+  zeroize(mcValue);
+  return value;
+}
+
+/**
+ * Encodes the given bytes as a multibase (base58btc) multicodec value.
+ *
+ * @param {Uint8Array} header - Multicodec header bytes.
+ * @param {Uint8Array} bytes - The value to encode.
+ * @returns {string} Multibase encoded string.
+ */
+export function multibaseEncode(header, bytes) {
+  const mcValue = new Uint8Array(header.length + bytes.length);
+  mcValue.set(header);
+  mcValue.set(bytes, header.length);
+  // prefix with `z` to indicate multi-base base58btc encoding
+  return `z${encode(mcValue)}`;
+}
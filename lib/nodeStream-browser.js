@@ -0,0 +1,6 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+
+// Node.js streams are not available in browsers; use WHATWG streams instead
+export const Transform = undefined;
@@ -0,0 +1,4 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+export {Transform} from 'node:stream';
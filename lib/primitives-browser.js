@@ -0,0 +1,109 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {webcrypto} from './webcrypto.js';
+import {BackendError} from './errors.js';
+
+// the WebCrypto implementation of `primitives.js`
+
+const HMAC_SHA256 = {name: 'HMAC', hash: 'SHA-256'};
+
+export async function digest({hash, data}) {
+  return new Uint8Array(await _subtle().digest(hash, data));
+}
+
+export async function hmac({hash, key, data}) {
+  const subtle = _subtle();
+  const hmacKey = await subtle.importKey(
+    'raw', key, {name: 'HMAC', hash}, false, ['sign']);
+  return new Uint8Array(await subtle.sign('HMAC', hmacKey, data));
+}
+
+export async function pbkdf2({hash, password, salt, iterations, length}) {
+  const subtle = _subtle();
+  const baseKey = await subtle.importKey(
+    'raw', password, {name: 'PBKDF2'}, false, ['deriveBits']);
+  return new Uint8Array(await subtle.deriveBits(
+    {name: 'PBKDF2', hash, salt, iterations}, baseKey, length * 8));
+}
+
+export function getRandomBytes(length) {
+  if(!(webcrypto && webcrypto.getRandomValues)) {
+    throw new BackendError('A secure random number generator is required.');
+  }
+  return webcrypto.getRandomValues(new Uint8Array(length));
+}
+
+export async function aesGcmEncrypt({key, iv, plaintext, additionalData}) {
+  const cryptoKey = await _importAesKey({key, name: 'AES-GCM'});
+  return new Uint8Array(await _subtle().encrypt(
+    _aesGcmParams({iv, additionalData}), cryptoKey, plaintext));
+}
+
+export async function aesGcmDecrypt({key, iv, ciphertext, additionalData}) {
+  const cryptoKey = await _importAesKey({key, name: 'AES-GCM'});
+  try {
+    return new Uint8Array(await _subtle().decrypt(
+      _aesGcmParams({iv, additionalData}), cryptoKey, ciphertext));
+  } catch(e) {
+    return null;
+  }
+}
+
+export async function aesCbcEncrypt({key, iv, plaintext}) {
+  const cryptoKey = await _importAesKey({key, name: 'AES-CBC'});
+  return new Uint8Array(await _subtle().encrypt(
+    {name: 'AES-CBC', iv}, cryptoKey, plaintext));
+}
+
+export async function aesCbcDecrypt({key, iv, ciphertext}) {
+  const cryptoKey = await _importAesKey({key, name: 'AES-CBC'});
+  try {
+    return new Uint8Array(await _subtle().decrypt(
+      {name: 'AES-CBC', iv}, cryptoKey, ciphertext));
+  } catch(e) {
+    return null;
+  }
+}
+
+export async function aesKwWrap({kek, key}) {
+  const subtle = _subtle();
+  const kekKey = await _importAesKey({key: kek, name: 'AES-KW'});
+  // HMAC keys may have any length, so any key to wrap fits
+  const hmacKey = await subtle.importKey(
+    'raw', key, HMAC_SHA256, true, ['sign']);
+  return new Uint8Array(
+    await subtle.wrapKey('raw', hmacKey, kekKey, 'AES-KW'));
+}
+
+export async function aesKwUnwrap({kek, wrappedKey}) {
+  const subtle = _subtle();
+  const kekKey = await _importAesKey({key: kek, name: 'AES-KW'});
+  let hmacKey;
+  try {
+    hmacKey = await subtle.unwrapKey(
+      'raw', wrappedKey, kekKey, 'AES-KW', HMAC_SHA256, true, ['sign']);
+  } catch(e) {
+    return null;
+  }
+  return new Uint8Array(await subtle.exportKey('raw', hmacKey));
+}
+
+async function _importAesKey({key, name}) {
+  const usages = name === 'AES-KW' ?
+    ['wrapKey', 'unwrapKey'] : ['encrypt', 'decrypt'];
+  return _subtle().importKey('raw', key, {name}, false, usages);
+}
+
+function _aesGcmParams({iv, additionalData}) {
+  return additionalData ?
+    {name: 'AES-GCM', iv, additionalData} : {name: 'AES-GCM', iv};
+}
+
+function _subtle() {
+  if(!(webcrypto && webcrypto.subtle)) {
+    throw new BackendError(
+      'WebCrypto is required; it is only available in secure contexts.');
+  }
+  return webcrypto.subtle;
+}
@@ -0,0 +1,221 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as crypto from 'node:crypto';
+import {promisify} from 'node:util';
+import {UnsupportedFormatError} from './errors.js';
+
+// hashes, HMAC and ciphers with `node:crypto`, which (unlike WebCrypto) is
+// available on every supported Node.js version; see `primitives-browser.js`
+// for the WebCrypto implementation used in browsers
+
+const pbkdf2Async = promisify(crypto.pbkdf2);
+
+const GCM_TAG_LENGTH = 16;
+// the RFC 3394 default initial value
+const AES_KW_IV = Buffer.from('a6a6a6a6a6a6a6a6', 'hex');
+
+// WebCrypto hash names mapped to Node.js hash names
+const HASHES = new Map([
+  ['SHA-256', 'sha256'],
+  ['SHA-384', 'sha384'],
+  ['SHA-512', 'sha512']
+]);
+
+/**
+ * Hashes data.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.hash - `SHA-256`, `SHA-384` or `SHA-512`.
+ * @param {Uint8Array} options.data - The data.
+ *
+ * @returns {Promise<Uint8Array>} The digest.
+ */
+export async function digest({hash, data}) {
+  return _bytes(crypto.createHash(_getHash(hash)).update(data).digest());
+}
+
+/**
+ * Computes an HMAC.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.hash - `SHA-256`, `SHA-384` or `SHA-512`.
+ * @param {Uint8Array} options.key - The key.
+ * @param {Uint8Array} options.data - The data.
+ *
+ * @returns {Promise<Uint8Array>} The MAC.
+ */
+export async function hmac({hash, key, data}) {
+  return _bytes(
+    crypto.createHmac(_getHash(hash), key).update(data).digest());
+}
+
+/**
+ * Derives a key from a password with PBKDF2.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.hash - `SHA-256`, `SHA-384` or `SHA-512`.
+ * @param {Uint8Array} options.password - The password.
+ * @param {Uint8Array} options.salt - The salt.
+ * @param {number} options.iterations - The number of iterations.
+ * @param {number} options.length - The key length, in bytes.
+ *
+ * @returns {Promise<Uint8Array>} The key.
+ */
+export async function pbkdf2({hash, password, salt, iterations, length}) {
+  return _bytes(await pbkdf2Async(
+    password, salt, iterations, length, _getHash(hash)));
+}
+
+/**
+ * Gets cryptographically secure random bytes.
+ *
+ * @param {number} length - The number of bytes.
+ *
+ * @returns {Uint8Array} The random bytes.
+ */
+export function getRandomBytes(length) {
+  return _bytes(crypto.randomBytes(length));
+}
+
+/**
+ * Encrypts with AES-GCM.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The 16, 24 or 32 byte key.
+ * @param {Uint8Array} options.iv - The IV.
+ * @param {Uint8Array} options.plaintext - The plaintext.
+ * @param {Uint8Array} [options.additionalData] - Additional authenticated
+ *   data.
+ *
+ * @returns {Promise<Uint8Array>} The ciphertext followed by the 16-byte tag.
+ */
+export async function aesGcmEncrypt({key, iv, plaintext, additionalData}) {
+  const cipher = crypto.createCipheriv(`aes-${key.length * 8}-gcm`, key, iv);
+  if(additionalData) {
+    cipher.setAAD(additionalData);
+  }
+  return _bytes(Buffer.concat(
+    [cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]));
+}
+
+/**
+ * Decrypts with AES-GCM.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The 16, 24 or 32 byte key.
+ * @param {Uint8Array} options.iv - The IV.
+ * @param {Uint8Array} options.ciphertext - The ciphertext followed by the
+ *   16-byte tag.
+ * @param {Uint8Array} [options.additionalData] - Additional authenticated
+ *   data.
+ *
+ * @returns {Promise<Uint8Array|null>} The plaintext, or `null` if the key,
+ *   tag or additional data is wrong.
+ */
+export async function aesGcmDecrypt({key, iv, ciphertext, additionalData}) {
+  if(ciphertext.length < GCM_TAG_LENGTH) {
+    return null;
+  }
+  const tagOffset = ciphertext.length - GCM_TAG_LENGTH;
+  try {
+    const decipher = crypto.createDecipheriv(
+      `aes-${key.length * 8}-gcm`, key, iv);
+    decipher.setAuthTag(ciphertext.subarray(tagOffset));
+    if(additionalData) {
+      decipher.setAAD(additionalData);
+    }
+    return _bytes(Buffer.concat([
+      decipher.update(ciphertext.subarray(0, tagOffset)), decipher.final()
+    ]));
+  } catch(e) {
+    return null;
+  }
+}
+
+/**
+ * Encrypts with AES-CBC and PKCS #7 padding.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The 16, 24 or 32 byte key.
+ * @param {Uint8Array} options.iv - The 16-byte IV.
+ * @param {Uint8Array} options.plaintext - The plaintext.
+ *
+ * @returns {Promise<Uint8Array>} The ciphertext.
+ */
+export async function aesCbcEncrypt({key, iv, plaintext}) {
+  const cipher = crypto.createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+  return _bytes(Buffer.concat([cipher.update(plaintext), cipher.final()]));
+}
+
+/**
+ * Decrypts with AES-CBC and PKCS #7 padding. The ciphertext must have been
+ * authenticated first.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.key - The 16, 24 or 32 byte key.
+ * @param {Uint8Array} options.iv - The 16-byte IV.
+ * @param {Uint8Array} options.ciphertext - The ciphertext.
+ *
+ * @returns {Promise<Uint8Array|null>} The plaintext, or `null` if the
+ *   padding is invalid.
+ */
+export async function aesCbcDecrypt({key, iv, ciphertext}) {
+  try {
+    const decipher = crypto.createDecipheriv(
+      `aes-${key.length * 8}-cbc`, key, iv);
+    return _bytes(
+      Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+  } catch(e) {
+    return null;
+  }
+}
+
+/**
+ * Wraps a key with AES Key Wrap (RFC 3394).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.kek - The 16, 24 or 32 byte key wrapping key.
+ * @param {Uint8Array} options.key - The key to wrap, a multiple of 8 bytes.
+ *
+ * @returns {Promise<Uint8Array>} The wrapped key.
+ */
+export async function aesKwWrap({kek, key}) {
+  const cipher = crypto.createCipheriv(
+    `id-aes${kek.length * 8}-wrap`, kek, AES_KW_IV);
+  return _bytes(Buffer.concat([cipher.update(key), cipher.final()]));
+}
+
+/**
+ * Unwraps a key wrapped with AES Key Wrap (RFC 3394).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} options.kek - The 16, 24 or 32 byte key wrapping key.
+ * @param {Uint8Array} options.wrappedKey - The wrapped key.
+ *
+ * @returns {Promise<Uint8Array|null>} The key, or `null` if the key wrapping
+ *   key is wrong or the wrapped key has been modified.
+ */
+export async function aesKwUnwrap({kek, wrappedKey}) {
+  try {
+    const decipher = crypto.createDecipheriv(
+      `id-aes${kek.length * 8}-wrap`, kek, AES_KW_IV);
+    return _bytes(
+      Buffer.concat([decipher.update(wrappedKey), decipher.final()]));
+  } catch(e) {
+    return null;
+  }
+}
+
+function _getHash(hash) {
+  const name = HASHES.get(hash);
+  if(!name) {
+    throw new UnsupportedFormatError(`Unsupported hash "${hash}".`);
+  }
+  return name;
+}
+
+// a `Uint8Array` view of a `Buffer`, so that wiping it wipes the buffer
+function _bytes(buffer) {
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+}
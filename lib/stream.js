@@ -0,0 +1,398 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decode, encode} from 'base58-universal';
+import {ChaCha20Poly1305} from '@stablelib/chacha20poly1305';
+import {concat, timingSafeEqual} from './bytes.js';
+import {hkdf} from './kdf.js';
+import {Transform} from './nodeStream.js';
+import {X25519KeyAgreementKey2019} from './X25519KeyAgreementKey2019.js';
+import {zeroize} from './zeroize.js';
+import {
+  BackendError, DecryptionError, InvalidStateError, UnsupportedFormatError
+} from './errors.js';
+
+// Streaming encryption of large payloads to an X25519 recipient, in the
+// style of age and the STREAM construction (Hoang, Reyhanitabar, Rogaway and
+// Vizár, "Online Authenticated-Encryption and its Nonce-Reuse
+// Misuse-Resistance"):
+//
+//   header = "x25519-stream/v1" || chunk size (uint32 BE) ||
+//     ephemeral public key
+//   content key = HKDF-SHA256(X25519(ephemeral, recipient),
+//     info = header || recipient public key)
+//   chunk i = ChaCha20-Poly1305(content key,
+//     nonce = i (uint88 BE) || last chunk flag (0x00 or 0x01), plaintext i)
+//
+// Every chunk but the last holds exactly `chunkSize` bytes of plaintext; the
+// last one holds 1 to `chunkSize` bytes, or none if the whole payload is
+// empty. The counter in the nonce detects reordered, dropped or duplicated
+// chunks and the last chunk flag detects truncation and appended data.
+
+export const DEFAULT_CHUNK_SIZE = 64 * 1024;
+export const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+
+const MAGIC = new TextEncoder().encode('x25519-stream/v1');
+const PUBLIC_KEY_LENGTH = 32;
+const HEADER_LENGTH = MAGIC.length + 4 + PUBLIC_KEY_LENGTH;
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+/**
+ * The encryption state of one stream: `update()` and `final()` return the
+ * header (first) and the sealed chunks that are ready to be output.
+ */
+class StreamEncryptor {
+  constructor({recipientKey, chunkSize = DEFAULT_CHUNK_SIZE}) {
+    if(!(recipientKey && typeof recipientKey.publicKeyBase58 === 'string')) {
+      throw new TypeError('"recipientKey" must be a key pair.');
+    }
+    _assertChunkSize(chunkSize);
+    this._recipientKey = recipientKey;
+    this._chunkSize = chunkSize;
+    this._buffer = new Uint8Array();
+    this._counter = 0;
+  }
+
+  async update(data) {
+    const output = [];
+    if(!this._cipher) {
+      output.push(await this._start());
+    }
+    // the last `chunkSize` bytes are held back until it is known whether
+    // they are the last chunk
+    this._buffer = concat(this._buffer, data);
+    let offset = 0;
+    while(this._buffer.length - offset > this._chunkSize) {
+      output.push(this._seal(
+        this._buffer.subarray(offset, offset + this._chunkSize), false));
+      offset += this._chunkSize;
+    }
+    this._buffer = this._buffer.slice(offset);
+    return output;
+  }
+
+  async final() {
+    const output = [];
+    if(!this._cipher) {
+      output.push(await this._start());
+    }
+    output.push(this._seal(this._buffer, true));
+    this._buffer = new Uint8Array();
+    this.destroy();
+    return output;
+  }
+
+  destroy() {
+    if(this._cipher) {
+      this._cipher.clean();
+    }
+  }
+
+  async _start() {
+    const ephemeralKeyPair = await X25519KeyAgreementKey2019.generate(
+      {binaryPrivateKey: true});
+    const header = new Uint8Array(HEADER_LENGTH);
+    header.set(MAGIC);
+    new DataView(header.buffer).setUint32(MAGIC.length, this._chunkSize);
+    header.set(decode(ephemeralKeyPair.publicKeyBase58), MAGIC.length + 4);
+    let secret;
+    try {
+      secret = await ephemeralKeyPair.deriveSecret(
+        {publicKey: this._recipientKey});
+      this._cipher = await _createCipher(
+        {secret, header, recipientKey: this._recipientKey});
+    } finally {
+      ephemeralKeyPair.destroy();
+      zeroize(secret);
+    }
+    return header;
+  }
+
+  _seal(plaintext, last) {
+    const nonce = _chunkNonce({counter: this._counter++, last});
+    return this._cipher.seal(nonce, plaintext);
+  }
+}
+
+/**
+ * The decryption state of one stream: `update()` and `final()` return the
+ * plaintext of the chunks that have been authenticated.
+ */
+class StreamDecryptor {
+  constructor({recipientKey}) {
+    if(!(recipientKey && typeof recipientKey.publicKeyBase58 === 'string')) {
+      throw new TypeError('"recipientKey" must be a key pair.');
+    }
+    this._recipientKey = recipientKey;
+    this._buffer = new Uint8Array();
+    this._counter = 0;
+  }
+
+  async update(data) {
+    this._buffer = concat(this._buffer, data);
+    if(!this._cipher) {
+      if(this._buffer.length < HEADER_LENGTH) {
+        return [];
+      }
+      await this._start();
+    }
+    // as with encryption, the last chunk is held back until the end
+    const output = [];
+    const sealedChunkSize = this._chunkSize + TAG_LENGTH;
+    let offset = 0;
+    while(this._buffer.length - offset > sealedChunkSize) {
+      output.push(this._open(
+        this._buffer.subarray(offset, offset + sealedChunkSize), false));
+      offset += sealedChunkSize;
+    }
+    this._buffer = this._buffer.slice(offset);
+    return output;
+  }
+
+  async final() {
+    if(!this._cipher) {
+      throw new DecryptionError('The encrypted stream header is truncated.');
+    }
+    if(this._buffer.length < TAG_LENGTH) {
+      throw new DecryptionError('The encrypted stream is truncated.');
+    }
+    const plaintext = this._open(this._buffer, true);
+    if(plaintext.length === 0 && this._counter > 1) {
+      throw new DecryptionError(
+        'The last chunk of the encrypted stream is empty.');
+    }
+    this._buffer = new Uint8Array();
+    this.destroy();
+    return [plaintext];
+  }
+
+  destroy() {
+    if(this._cipher) {
+      this._cipher.clean();
+    }
+  }
+
+  async _start() {
+    const header = this._buffer.slice(0, HEADER_LENGTH);
+    if(!timingSafeEqual(header.subarray(0, MAGIC.length), MAGIC)) {
+      throw new UnsupportedFormatError(
+        'The stream is not an "x25519-stream/v1" encrypted stream.');
+    }
+    const chunkSize = new DataView(header.buffer).getUint32(MAGIC.length);
+    if(!(chunkSize > 0 && chunkSize <= MAX_CHUNK_SIZE)) {
+      throw new UnsupportedFormatError(
+        `Unsupported encrypted stream chunk size "${chunkSize}".`);
+    }
+    const ephemeralKey = new X25519KeyAgreementKey2019({
+      publicKeyBase58: encode(header.subarray(MAGIC.length + 4))
+    });
+    const secret = await this._recipientKey.deriveSecret(
+      {publicKey: ephemeralKey});
+    try {
+      this._cipher = await _createCipher(
+        {secret, header, recipientKey: this._recipientKey});
+    } finally {
+      zeroize(secret);
+    }
+    this._chunkSize = chunkSize;
+    this._buffer = this._buffer.slice(HEADER_LENGTH);
+  }
+
+  _open(sealed, last) {
+    const counter = this._counter++;
+    const plaintext = this._cipher.open(
+      _chunkNonce({counter, last}), sealed);
+    if(!plaintext) {
+      throw new DecryptionError(
+        `Chunk ${counter} of the encrypted stream could not be decrypted; ` +
+        'it was not encrypted to this key pair, or the stream has been ' +
+        'modified, reordered or truncated.');
+    }
+    return plaintext;
+  }
+}
+
+/**
+ * Creates a WHATWG `TransformStream` that encrypts a stream of bytes to a
+ * recipient. A new ephemeral key pair is generated for each stream.
+ *
+ * @example
+ * > const encrypted = file.stream().pipeThrough(
+ *   stream.createEncryptStream({recipientKey}));
+ *
+ * @param {object} options - Options hashmap.
+ * @param {X25519KeyAgreementKey2019} options.recipientKey - The recipient's
+ *   public key.
+ * @param {number} [options.chunkSize=65536] - The number of plaintext bytes
+ *   in each authenticated chunk, up to 16 MiB.
+ *
+ * @returns {TransformStream} A stream of `Uint8Array` plaintext in and
+ *   ciphertext out.
+ */
+export function createEncryptStream(options = {}) {
+  return _createTransformStream(new StreamEncryptor(options));
+}
+
+/**
+ * Creates a WHATWG `TransformStream` that decrypts a stream encrypted with
+ * `createEncryptStream()` or `createEncryptTransform()`.
+ *
+ * Plaintext is output as each chunk is authenticated, before the end of the
+ * stream is reached: if the stream errors, for example with a
+ * `DecryptionError` because it was truncated, the plaintext output so far
+ * must be discarded.
+ *
+ * @example
+ * > const decrypted = response.body.pipeThrough(
+ *   stream.createDecryptStream({recipientKey: keyPair}));
+ *
+ * @param {object} options - Options hashmap.
+ * @param {X25519KeyAgreementKey2019} options.recipientKey - The recipient's
+ *   key pair, with a private key or key agreer.
+ *
+ * @returns {TransformStream} A stream of `Uint8Array` ciphertext in and
+ *   plaintext out, which errors with a `DecryptionError` if the ciphertext
+ *   was not encrypted to the key pair, or has been modified, reordered or
+ *   truncated.
+ */
+export function createDecryptStream(options = {}) {
+  return _createTransformStream(new StreamDecryptor(options));
+}
+
+/**
+ * Creates a Node.js `Transform` stream that encrypts a stream of bytes to a
+ * recipient, as `createEncryptStream()` does. Node.js only.
+ *
+ * @example
+ * > await pipeline(
+ *   fs.createReadStream('backup.tar'),
+ *   stream.createEncryptTransform({recipientKey}),
+ *   fs.createWriteStream('backup.tar.enc'));
+ *
+ * @param {object} options - The `createEncryptStream()` options.
+ *
+ * @returns {Transform} The Node.js stream.
+ */
+export function createEncryptTransform(options = {}) {
+  return _createNodeTransform(new StreamEncryptor(options));
+}
+
+/**
+ * Creates a Node.js `Transform` stream that decrypts a stream encrypted with
+ * `createEncryptStream()` or `createEncryptTransform()`, as
+ * `createDecryptStream()` does. Node.js only.
+ *
+ * @param {object} options - The `createDecryptStream()` options.
+ *
+ * @returns {Transform} The Node.js stream.
+ */
+export function createDecryptTransform(options = {}) {
+  return _createNodeTransform(new StreamDecryptor(options));
+}
+
+function _createTransformStream(cipher) {
+  if(typeof TransformStream === 'undefined') {
+    throw new BackendError(
+      'WHATWG streams are not available in this environment; ' +
+      'use the Node.js "Transform" streams instead.');
+  }
+  return new TransformStream({
+    async transform(chunk, controller) {
+      _enqueue(controller, await _update(cipher, chunk));
+    },
+    async flush(controller) {
+      _enqueue(controller, await _final(cipher));
+    }
+  });
+}
+
+function _createNodeTransform(cipher) {
+  if(!Transform) {
+    throw new BackendError(
+      'Node.js streams are not available in this environment; ' +
+      'use the WHATWG "TransformStream" streams instead.');
+  }
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      _update(cipher, chunk).then(output => {
+        output.forEach(data => this.push(data));
+        callback();
+      }, callback);
+    },
+    flush(callback) {
+      _final(cipher).then(output => {
+        output.forEach(data => this.push(data));
+        callback();
+      }, callback);
+    },
+    destroy(error, callback) {
+      cipher.destroy();
+      callback(error);
+    }
+  });
+}
+
+async function _update(cipher, chunk) {
+  if(!(chunk instanceof Uint8Array)) {
+    cipher.destroy();
+    throw new TypeError('Stream chunks must be Uint8Arrays.');
+  }
+  try {
+    return await cipher.update(chunk);
+  } catch(e) {
+    cipher.destroy();
+    throw e;
+  }
+}
+
+async function _final(cipher) {
+  try {
+    return await cipher.final();
+  } catch(e) {
+    cipher.destroy();
+    throw e;
+  }
+}
+
+function _enqueue(controller, output) {
+  for(const data of output) {
+    controller.enqueue(data);
+  }
+}
+
+async function _createCipher({secret, header, recipientKey}) {
+  const key = await hkdf({
+    secret,
+    hash: 'SHA-256',
+    info: concat(header, decode(recipientKey.publicKeyBase58)),
+    length: KEY_LENGTH * 8
+  });
+  try {
+    return new ChaCha20Poly1305(key);
+  } finally {
+    zeroize(key);
+  }
+}
+
+function _chunkNonce({counter, last}) {
+  if(counter >= Number.MAX_SAFE_INTEGER) {
+    throw new InvalidStateError('Encrypted stream chunk limit reached.');
+  }
+  const nonce = new Uint8Array(NONCE_LENGTH);
+  for(let i = NONCE_LENGTH - 2; i >= 0 && counter > 0; --i) {
+    nonce[i] = counter % 256;
+    counter = Math.floor(counter / 256);
+  }
+  nonce[NONCE_LENGTH - 1] = last ? 1 : 0;
+  return nonce;
+}
+
+function _assertChunkSize(chunkSize) {
+  if(!(Number.isInteger(chunkSize) && chunkSize > 0 &&
+    chunkSize <= MAX_CHUNK_SIZE)) {
+    throw new RangeError(
+      `"chunkSize" must be an integer between 1 and ${MAX_CHUNK_SIZE}.`);
+  }
+}
@@ -0,0 +1,180 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {decode} from 'base58-universal';
+import {InvalidKeyError, KeyAgreementError} from './errors.js';
+import nacl from 'tweetnacl';
+import {zeroize} from './zeroize.js';
+
+export const KEY_LENGTH = 32;
+
+// u-coordinates of the points of order 1, 2, 4 and 8 on Curve25519 and
+// their non-canonical encodings (p - 1, p, p + 1), little-endian; see
+// https://cr.yp.to/ecdh.html#validate
+const LOW_ORDER_POINTS = [
+  '0000000000000000000000000000000000000000000000000000000000000000',
+  '0100000000000000000000000000000000000000000000000000000000000000',
+  'e0eb7a7c3b41b8ae1656e3faf19fc46ada098deb9c32b1fd866205165f49b800',
+  '5f9c95bca3508c24b1d0b1559c83ef5b04445cc4581c8e86d8224eddd09f1157',
+  'ecffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f',
+  'edffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f',
+  'eeffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f'
+].map(hex => new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16))));
+
+/**
+ * Ensures the inputs to X25519 are 32 bytes long and the remote public key
+ * is not a low-order point (which would force a predictable shared secret).
+ *
+ * @param {object} options - Options hashmap.
+ * @param {Uint8Array} [options.privateKey] - The local private key, if
+ *   available.
+ * @param {Uint8Array} options.remotePublicKey - The remote public key.
+ *
+ * @throws {KeyAgreementError} If the inputs are not acceptable.
+ */
+export function assertKeyAgreementInputs({privateKey, remotePublicKey}) {
+  if(privateKey && privateKey.length !== KEY_LENGTH) {
+    throw new KeyAgreementError(
+      `Private key must be ${KEY_LENGTH} bytes; got ${privateKey.length}.`);
+  }
+  if(remotePublicKey.length !== KEY_LENGTH) {
+    throw new KeyAgreementError(
+      `Public key must be ${KEY_LENGTH} bytes; got ` +
+      `${remotePublicKey.length}.`);
+  }
+  if(isLowOrderPoint(remotePublicKey)) {
+    throw new KeyAgreementError('Public key is a low-order point.');
+  }
+}
+
+/**
+ * Ensures an X25519 output is not all zeros, which means that both parties
+ * contributed to the shared secret.
+ *
+ * @param {Uint8Array} secret - The shared secret.
+ *
+ * @throws {KeyAgreementError} If the secret is all zeros.
+ */
+export function assertContributorySecret(secret) {
+  let acc = 0;
+  for(const byte of secret) {
+    acc |= byte;
+  }
+  if(acc === 0) {
+    throw new KeyAgreementError('Shared secret is all zeros.');
+  }
+}
+
+/**
+ * Checks whether a public key is one of the known low-order points. The
+ * high bit is ignored, as it is by X25519 itself.
+ *
+ * @param {Uint8Array} publicKey - The 32-byte public key.
+ *
+ * @returns {boolean} `true` if the key is a low-order point.
+ */
+export function isLowOrderPoint(publicKey) {
+  let found = 0;
+  for(const point of LOW_ORDER_POINTS) {
+    let diff = 0;
+    for(let i = 0; i < KEY_LENGTH - 1; ++i) {
+      diff |= publicKey[i] ^ point[i];
+    }
+    diff |= (publicKey[KEY_LENGTH - 1] & 0x7f) ^ point[KEY_LENGTH - 1];
+    found |= diff === 0 ? 1 : 0;
+  }
+  return found === 1;
+}
+
+/**
+ * Validates base58 encoded X25519 key material.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.publicKeyBase58 - The public key.
+ * @param {string} [options.privateKeyBase58] - The private key; if given, it
+ *   must correspond to the public key.
+ * @param {Uint8Array} [options.privateKey] - The private key as bytes,
+ *   instead of `privateKeyBase58`.
+ *
+ * @returns {object} An object indicating valid is true or false, with an
+ *   `error` if not valid.
+ */
+export function validateKeyMaterial({
+  publicKeyBase58, privateKeyBase58, privateKey
+}) {
+  let publicKey;
+  try {
+    publicKey = _decodeKey({value: publicKeyBase58, name: 'publicKeyBase58'});
+  } catch(error) {
+    return {error, valid: false};
+  }
+  if(privateKey !== undefined) {
+    if(privateKey.length !== KEY_LENGTH) {
+      return {
+        error: new InvalidKeyError(
+          `"privateKey" must be ${KEY_LENGTH} bytes.`),
+        valid: false
+      };
+    }
+    return _checkPrivateKey({privateKey, publicKey});
+  }
+  if(privateKeyBase58 === undefined) {
+    return {valid: true};
+  }
+  try {
+    privateKey = _decodeKey(
+      {value: privateKeyBase58, name: 'privateKeyBase58'});
+  } catch(error) {
+    return {error, valid: false};
+  }
+  try {
+    return _checkPrivateKey({privateKey, publicKey});
+  } finally {
+    zeroize(privateKey);
+  }
+}
+
+function _checkPrivateKey({privateKey, publicKey}) {
+  const expectedPublicKey = nacl.scalarMult.base(privateKey);
+  if(!expectedPublicKey.every((byte, i) => byte === publicKey[i])) {
+    return {
+      error: new InvalidKeyError(
+        'The private key does not match the public key.'),
+      valid: false
+    };
+  }
+  return {valid: true};
+}
+
+/**
+ * Decodes base58 encoded key material.
+ *
+ * @param {object} options - Options hashmap.
+ * @param {string} options.value - The base58 encoded value.
+ * @param {string} options.name - Name of the property being decoded, for
+ *   error messages.
+ *
+ * @throws {InvalidKeyError} If the value is not a valid base58 string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+export function decodeBase58({value, name}) {
+  if(typeof value !== 'string') {
+    throw new InvalidKeyError(`"${name}" must be a string.`);
+  }
+  let bytes;
+  try {
+    bytes = decode(value);
+  } catch(e) {}
+  if(!bytes) {
+    throw new InvalidKeyError(`"${name}" is not valid base58.`);
+  }
+  return bytes;
+}
+
+function _decodeKey({value, name}) {
+  const bytes = decodeBase58({value, name});
+  if(bytes.length !== KEY_LENGTH) {
+    throw new InvalidKeyError(`"${name}" must be ${KEY_LENGTH} bytes.`);
+  }
+  return bytes;
+}
@@ -0,0 +1,4 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+export const webcrypto = globalThis.crypto;
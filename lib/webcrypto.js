@@ -0,0 +1,7 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as crypto from 'node:crypto';
+
+// `undefined` on Node.js versions without WebCrypto support
+export const webcrypto = crypto.webcrypto;
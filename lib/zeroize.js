@@ -0,0 +1,21 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+
+/**
+ * Overwrites secret bytes (private keys, shared secrets and intermediate
+ * buffers) with zeros once they are no longer needed. `undefined` values are
+ * ignored, so optional buffers can be passed as they are.
+ *
+ * Note: this only wipes the given buffers; JavaScript strings (such as
+ * `privateKeyBase58`) are immutable and cannot be wiped.
+ *
+ * @param {...Uint8Array} arrays - The buffers to wipe.
+ */
+export function zeroize(...arrays) {
+  for(const array of arrays) {
+    if(array) {
+      array.fill(0);
+    }
+  }
+}
@@ -0,0 +1,212 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {
+  getBackend, getBackendNames, KeyAgreementError, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import {encode} from 'base58-universal';
+import nacl from 'tweetnacl';
+
+// RFC 7748 Section 5.2
+const SCALAR_MULT_VECTORS = [{
+  scalar: 'a546e36bf0527c9d3b16154b82465edd62144c0ac1fc5a18506a2244ba449ac4',
+  u: 'e6db6867583030db3594c1a424b15f7c726624ec26b3353b10a903a6d0ab1c4c',
+  output: 'c3da55379de9c6908e94ea4df28d084f32eccf03491c71f754b4075577a28552'
+}, {
+  // the u-coordinate has its high bit set, which must be masked
+  scalar: '4b66e9d4d1b4673c5ad22691957d6af5c11b6421e0ea01d42ca4169e7918ba0d',
+  u: 'e5210f12786811d3f4b7959d0538ae2c31dbe7106fc03c3efc4cd549c715a493',
+  output: '95cbde9476e8907d7aade45cb4b873f88b595a68799fa152e6f8f7647aac7957'
+}];
+
+// RFC 7748 Section 5.2, `k` and `u` start at 9
+const ITERATED_VECTORS = new Map([
+  [1, '422c8e7a6227d7bca1350b3e2bb7279f7897b87bb6854b783c60e80311ae3079'],
+  [1000, '684cf59ba83309552800ef566f2f4d3c1c3887c49360e3875f2eb94d99532c51']
+]);
+
+// RFC 7748 Section 6.1
+const DH_VECTOR = {
+  alicePrivate:
+    '77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a',
+  alicePublic:
+    '8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a',
+  bobPrivate:
+    '5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb',
+  bobPublic:
+    'de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f',
+  shared: '4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742'
+};
+
+// points of order 1, 2, 4 and 8, their non-canonical encodings, and some of
+// them with the (ignored) high bit set
+const LOW_ORDER_POINTS = [
+  '0000000000000000000000000000000000000000000000000000000000000000',
+  '0100000000000000000000000000000000000000000000000000000000000000',
+  'e0eb7a7c3b41b8ae1656e3faf19fc46ada098deb9c32b1fd866205165f49b800',
+  '5f9c95bca3508c24b1d0b1559c83ef5b04445cc4581c8e86d8224eddd09f1157',
+  'ecffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f',
+  'edffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f',
+  'eeffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff7f',
+  '0000000000000000000000000000000000000000000000000000000000000080',
+  'e0eb7a7c3b41b8ae1656e3faf19fc46ada098deb9c32b1fd866205165f49b880',
+  'edffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff'
+];
+
+const NINE = '09' + '00'.repeat(31);
+// p + 9 = 2^255 - 10, a non-canonical encoding of 9, with and without the
+// high bit set
+const NON_CANONICAL_NINES = [
+  'f6' + 'ff'.repeat(30) + '7f',
+  'f6' + 'ff'.repeat(31)
+];
+
+// built-in backends, as registered when this module loads
+const BACKEND_NAMES = getBackendNames();
+
+describe('backend conformance', () => {
+  for(const name of BACKEND_NAMES) {
+    describe(name, () => {
+      let backend;
+      before(async function() {
+        backend = getBackend(name);
+        if(backend.isSupported && !await backend.isSupported()) {
+          this.skip();
+        }
+      });
+
+      it('should pass the RFC 7748 Section 5.2 vectors', async () => {
+        for(const {scalar, u, output} of SCALAR_MULT_VECTORS) {
+          const secret = await backend.deriveSecret({
+            privateKey: hexToBytes(scalar), remotePublicKey: hexToBytes(u)
+          });
+          expect(bytesToHex(secret)).to.equal(output);
+        }
+      });
+
+      it('should pass the RFC 7748 iterated vector (1,000 steps)',
+        async () => {
+          let k = hexToBytes(NINE);
+          let u = hexToBytes(NINE);
+          for(let i = 1; i <= 1000; ++i) {
+            const result = await backend.deriveSecret(
+              {privateKey: k, remotePublicKey: u});
+            u = k;
+            k = result;
+            if(ITERATED_VECTORS.has(i)) {
+              expect(bytesToHex(k)).to.equal(ITERATED_VECTORS.get(i));
+            }
+          }
+        });
+
+      it('should pass the RFC 7748 Section 6.1 vector', async () => {
+        const alicePublic = await backend.publicFromPrivate(
+          {privateKey: hexToBytes(DH_VECTOR.alicePrivate)});
+        expect(bytesToHex(alicePublic)).to.equal(DH_VECTOR.alicePublic);
+        const bobPublic = await backend.publicFromPrivate(
+          {privateKey: hexToBytes(DH_VECTOR.bobPrivate)});
+        expect(bytesToHex(bobPublic)).to.equal(DH_VECTOR.bobPublic);
+
+        const aliceShared = await backend.deriveSecret({
+          privateKey: hexToBytes(DH_VECTOR.alicePrivate),
+          remotePublicKey: bobPublic
+        });
+        const bobShared = await backend.deriveSecret({
+          privateKey: hexToBytes(DH_VECTOR.bobPrivate),
+          remotePublicKey: alicePublic
+        });
+        expect(bytesToHex(aliceShared)).to.equal(DH_VECTOR.shared);
+        expect(bytesToHex(bobShared)).to.equal(DH_VECTOR.shared);
+      });
+
+      it('should mask the high bit of public keys', async () => {
+        const [{scalar, u, output}] = SCALAR_MULT_VECTORS;
+        const highBitU = hexToBytes(u);
+        highBitU[31] |= 0x80;
+        const secret = await backend.deriveSecret(
+          {privateKey: hexToBytes(scalar), remotePublicKey: highBitU});
+        expect(bytesToHex(secret)).to.equal(output);
+      });
+
+      it('should reduce non-canonical public keys', async () => {
+        const [{scalar}] = SCALAR_MULT_VECTORS;
+        const privateKey = hexToBytes(scalar);
+        const expected = await backend.deriveSecret(
+          {privateKey, remotePublicKey: hexToBytes(NINE)});
+        for(const u of NON_CANONICAL_NINES) {
+          const secret = await backend.deriveSecret(
+            {privateKey, remotePublicKey: hexToBytes(u)});
+          expect(bytesToHex(secret)).to.equal(bytesToHex(expected));
+        }
+      });
+
+      it('should reject low-order points', async () => {
+        // raw backends differ here (some fail on the all-zero output, some
+        // return it); key pairs must reject them consistently
+        const keyPair = new X25519KeyAgreementKey2019({
+          publicKeyBase58: encode(hexToBytes(DH_VECTOR.alicePublic)),
+          privateKeyBase58: encode(hexToBytes(DH_VECTOR.alicePrivate)),
+          backend: name
+        });
+        for(const point of LOW_ORDER_POINTS) {
+          const publicKey = new X25519KeyAgreementKey2019(
+            {publicKeyBase58: encode(hexToBytes(point))});
+          let error;
+          try {
+            await keyPair.deriveSecret({publicKey});
+          } catch(e) {
+            error = e;
+          }
+          expect(error, point).to.be.instanceOf(KeyAgreementError);
+        }
+      });
+
+      it('should generate valid key pairs', async () => {
+        const {publicKey, privateKey} = await backend.generateKeyPair();
+        expect(publicKey).to.be.instanceOf(Uint8Array);
+        expect(publicKey).to.have.length(32);
+        expect(privateKey).to.be.instanceOf(Uint8Array);
+        expect(privateKey).to.have.length(32);
+        const derived = await backend.publicFromPrivate({privateKey});
+        expect(bytesToHex(derived)).to.equal(bytesToHex(publicKey));
+      });
+    });
+  }
+
+  it('should agree byte-for-byte across backends', async () => {
+    const backends = [];
+    for(const name of BACKEND_NAMES) {
+      const backend = getBackend(name);
+      if(!backend.isSupported || await backend.isSupported()) {
+        backends.push(backend);
+      }
+    }
+    for(let i = 0; i < 32; ++i) {
+      // random, unclamped scalars and random (possibly non-canonical or
+      // high-bit) u-coordinates
+      const privateKey = nacl.randomBytes(32);
+      const remotePublicKey = nacl.randomBytes(32);
+      const results = await Promise.all(backends.map(async backend => {
+        const publicKey = await backend.publicFromPrivate({privateKey});
+        const secret = await backend.deriveSecret(
+          {privateKey, remotePublicKey});
+        return `${bytesToHex(publicKey)}:${bytesToHex(secret)}`;
+      }));
+      for(const [index, result] of results.entries()) {
+        expect(result, backends[index].name).to.equal(results[0]);
+      }
+    }
+  });
+});
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
+
+function bytesToHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,146 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {mkdtempSync, rmSync, writeFileSync} from 'node:fs';
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+import {fileURLToPath} from 'node:url';
+import {join} from 'node:path';
+import {spawnSync} from 'node:child_process';
+import {tmpdir} from 'node:os';
+import {X25519KeyAgreementKey2019} from '../lib/index.js';
+
+const BIN = fileURLToPath(new URL('../bin/x25519-key.js', import.meta.url));
+
+function run(args, {input = ''} = {}) {
+  const {status, stdout, stderr} = spawnSync(
+    process.execPath, [BIN, ...args], {input, encoding: 'utf8'});
+  return {
+    status,
+    output: stdout ? JSON.parse(stdout) : undefined,
+    error: stderr ? JSON.parse(stderr).error : undefined
+  };
+}
+
+describe('x25519-key CLI', () => {
+  let dir;
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'x25519-key-'));
+  });
+  after(() => {
+    rmSync(dir, {recursive: true, force: true});
+  });
+
+  function writeKey(name, key) {
+    const file = join(dir, name);
+    writeFileSync(file, JSON.stringify(key));
+    return file;
+  }
+
+  it('should generate a key pair', async () => {
+    const {status, output} = run(['generate', '--controller', 'did:ex:1']);
+    expect(status).to.equal(0);
+    expect(output.type).to.equal('X25519KeyAgreementKey2019');
+    expect(output.controller).to.equal('did:ex:1');
+    expect(output.privateKeyBase58).to.be.a('string');
+    const keyPair = await X25519KeyAgreementKey2019.from(output);
+    expect(keyPair.validate().valid).to.be.true;
+    expect(output.id).to.equal(`did:ex:1#${keyPair.fingerprint()}`);
+  });
+
+  it('should generate in other formats', async () => {
+    let {output} = run(['generate', '--format', 'Multikey', '--public-only']);
+    expect(output.type).to.equal('Multikey');
+    expect(output.publicKeyMultibase).to.match(/^z6LS/);
+    expect(output).to.not.have.property('secretKeyMultibase');
+
+    ({output} = run(['generate', '--format=jwk']));
+    expect(output.kty).to.equal('OKP');
+    expect(output.d).to.be.a('string');
+  });
+
+  it('should convert an Ed25519VerificationKey2020 key pair', async () => {
+    const edKeyPair = await Ed25519VerificationKey2020.generate(
+      {controller: 'did:ex:1'});
+    const edKey = edKeyPair.export({publicKey: true, privateKey: true});
+    const expected = X25519KeyAgreementKey2019.fromEd25519VerificationKey2020(
+      {keyPair: edKeyPair});
+
+    const {status, output} = run(
+      ['convert'], {input: JSON.stringify(edKey)});
+    expect(status).to.equal(0);
+    expect(output.publicKeyBase58).to.equal(expected.publicKeyBase58);
+    expect(output.privateKeyBase58).to.equal(expected.privateKeyBase58);
+    expect(output.controller).to.equal('did:ex:1');
+  });
+
+  it('should compute and verify fingerprints', async () => {
+    const {output: key} = run(['generate']);
+    const file = writeKey('fingerprint.json', key);
+    const {output: {fingerprint}} = run(['fingerprint', file]);
+    expect(fingerprint).to.equal(X25519KeyAgreementKey2019
+      .fingerprintFromPublicKey(key));
+
+    let result = run(
+      ['verify-fingerprint', fingerprint, '-'], {input: JSON.stringify(key)});
+    expect(result.status).to.equal(0);
+    expect(result.output).to.eql({valid: true});
+
+    const {output: otherKey} = run(['generate']);
+    result = run(['verify-fingerprint', X25519KeyAgreementKey2019
+      .fingerprintFromPublicKey(otherKey), file]);
+    expect(result.status).to.equal(1);
+    expect(result.output.valid).to.be.false;
+    expect(result.output.error.code).to.equal('ERR_INVALID_KEY');
+  });
+
+  it('should derive a shared secret', async () => {
+    const {output: alice} = run(['generate']);
+    const {output: bob} = run(['generate']);
+    const aliceFile = writeKey('alice.json', alice);
+    const bobFile = writeKey('bob.json', bob);
+
+    const {status, output} = run(
+      ['derive', aliceFile, '--remote-key', bobFile]);
+    expect(status).to.equal(0);
+    expect(output.encoding).to.equal('hex');
+    expect(output.secret).to.match(/^[0-9a-f]{64}$/);
+
+    const fingerprint = X25519KeyAgreementKey2019.fingerprintFromPublicKey(
+      alice);
+    let result = run(
+      ['derive', '--fingerprint', fingerprint], {input: JSON.stringify(bob)});
+    expect(result.output.secret).to.equal(output.secret);
+
+    result = run([
+      'derive', bobFile, '--public-key', alice.publicKeyBase58,
+      '--encoding', 'base64url'
+    ]);
+    expect(result.output.encoding).to.equal('base64url');
+    expect(result.output.secret).to.have.length(43);
+  });
+
+  it('should write errors as JSON', async () => {
+    let result = run(['unknown']);
+    expect(result.status).to.equal(2);
+    expect(result.error.code).to.equal('ERR_USAGE');
+
+    result = run(['derive', '--remote-key', '-']);
+    expect(result.status).to.equal(2);
+    expect(result.error.message).to.equal(
+      'Only one key can be read from stdin.');
+
+    const publicKeyMultibase =
+      'z6Mkvny4HPhRZv4SMQxRLxLjkEWy7xG3f8tvt7S5h9XLAuhR';
+    result = run(
+      ['fingerprint'], {input: JSON.stringify({publicKeyMultibase})});
+    expect(result.status).to.equal(1);
+    expect(result.error.name).to.equal('UnsupportedFormatError');
+    expect(result.error.code).to.equal('ERR_UNSUPPORTED_FORMAT');
+  });
+});
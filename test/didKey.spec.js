@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {
+  didKey, KeyNotFoundError, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import {
+  Ed25519VerificationKey2018
+} from '@digitalbazaar/ed25519-verification-key-2018';
+import {
+  Ed25519VerificationKey2020
+} from '@digitalbazaar/ed25519-verification-key-2020';
+
+const DID = 'did:key:z6Mkvny4HPhRZv4SMQxRLxLjkEWy7xG3f8tvt7S5h9XLAuhR';
+const X25519_PUBLIC_KEY_BASE58 = '9K6xjwBdjKC4W3r41ZP5WUxp8XXm8gT9GvR1G5Eocs1Z';
+const X25519_PRIVATE_KEY_BASE58 =
+  'H9ruaVs9LnRUwxNMLTjDkEbWW1P3bcBuiu7GxoBbEpdV';
+const X25519_FINGERPRINT = X25519KeyAgreementKey2019.fingerprintFromPublicKey(
+  {publicKeyBase58: X25519_PUBLIC_KEY_BASE58});
+
+describe('didKey', () => {
+  describe('generateDidDocument', () => {
+    it('should generate a DID document from a 2020 key', async () => {
+      const keyPair = await Ed25519VerificationKey2020.from({
+        /* eslint-disable-next-line max-len */
+        privateKeyMultibase: 'zrv3t12G3RczbuREj5Hew2ybTv8oYE3DK3CzFTyJzarQWUoejYZbrrDvJWQXn47Tcw5DsmgcPMD6KwFzuQDcXuBbYcP',
+        publicKeyMultibase: 'z6Mkvny4HPhRZv4SMQxRLxLjkEWy7xG3f8tvt7S5h9XLAuhR'
+      });
+      const {didDocument, keyAgreementKey} = didKey.generateDidDocument(
+        {keyPair});
+
+      expect(didDocument.id).to.equal(DID);
+      expect(didDocument['@context']).to.include(
+        'https://w3id.org/security/suites/x25519-2020/v1');
+      const [verificationMethod] = didDocument.verificationMethod;
+      expect(verificationMethod).to.eql({
+        id: `${DID}#z6Mkvny4HPhRZv4SMQxRLxLjkEWy7xG3f8tvt7S5h9XLAuhR`,
+        type: 'Ed25519VerificationKey2020',
+        controller: DID,
+        publicKeyMultibase: 'z6Mkvny4HPhRZv4SMQxRLxLjkEWy7xG3f8tvt7S5h9XLAuhR'
+      });
+      expect(didDocument.authentication).to.eql([verificationMethod.id]);
+      expect(didDocument.keyAgreement).to.eql([{
+        id: `${DID}#${X25519_FINGERPRINT}`,
+        type: 'X25519KeyAgreementKey2020',
+        controller: DID,
+        publicKeyMultibase: X25519_FINGERPRINT
+      }]);
+
+      expect(keyAgreementKey.id).to.equal(`${DID}#${X25519_FINGERPRINT}`);
+      expect(keyAgreementKey.controller).to.equal(DID);
+      expect(keyAgreementKey.privateKeyBase58)
+        .to.equal(X25519_PRIVATE_KEY_BASE58);
+    });
+
+    it('should generate a DID document from a 2018 key', async () => {
+      const keyPair = await Ed25519VerificationKey2018.from({
+        /* eslint-disable-next-line max-len */
+        privateKeyBase58: '4F71TAGqQYe7KE9p4HUzoVV9arQwKP4gPtvi89EPNGuwA1qLE4RRxitA2rEcdEszERj3pN1DWKARBZQ2BACLbW1V',
+        publicKeyBase58: 'HLi1h9SzENZyEv7ifPNtu8xyJNzCFFeaC6X9rsZKFgv3'
+      });
+      const {didDocument} = didKey.generateDidDocument({keyPair});
+
+      expect(didDocument.id).to.equal(DID);
+      expect(didDocument.verificationMethod[0].publicKeyBase58)
+        .to.equal('HLi1h9SzENZyEv7ifPNtu8xyJNzCFFeaC6X9rsZKFgv3');
+      expect(didDocument.keyAgreement).to.eql([{
+        id: `${DID}#${X25519_FINGERPRINT}`,
+        type: 'X25519KeyAgreementKey2019',
+        controller: DID,
+        publicKeyBase58: X25519_PUBLIC_KEY_BASE58
+      }]);
+    });
+
+    it('should resolve the same document it generates', async () => {
+      const keyPair = await Ed25519VerificationKey2020.generate();
+      const {didDocument} = didKey.generateDidDocument({keyPair});
+      expect(didKey.getDidDocument({did: didDocument.id}))
+        .to.eql(didDocument);
+    });
+  });
+
+  describe('fromDidKey', () => {
+    it('should resolve a key agreement key DID URL', async () => {
+      const id = `${DID}#${X25519_FINGERPRINT}`;
+      const keyPair = didKey.fromDidKey({id});
+      expect(keyPair).to.be.instanceOf(X25519KeyAgreementKey2019);
+      expect(keyPair.id).to.equal(id);
+      expect(keyPair.controller).to.equal(DID);
+      expect(keyPair.publicKeyBase58).to.equal(X25519_PUBLIC_KEY_BASE58);
+    });
+
+    it('should resolve an X25519 did:key', async () => {
+      const did = `did:key:${X25519_FINGERPRINT}`;
+      const keyPair = didKey.fromDidKey({id: did});
+      expect(keyPair.id).to.equal(`${did}#${X25519_FINGERPRINT}`);
+      expect(keyPair.publicKeyBase58).to.equal(X25519_PUBLIC_KEY_BASE58);
+    });
+
+    it('should reject a fragment that is not the key agreement key', () => {
+      const id = `${DID}#z6Mkvny4HPhRZv4SMQxRLxLjkEWy7xG3f8tvt7S5h9XLAuhR`;
+      let error;
+      try {
+        didKey.fromDidKey({id});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(KeyNotFoundError);
+      expect(error.code).to.equal('ERR_KEY_NOT_FOUND');
+      expect(error.message)
+        .to.equal(`"${id}" is not a key agreement key of "${DID}".`);
+    });
+  });
+
+  describe('documentLoader', () => {
+    it('should load a key agreement key document', async () => {
+      const url = `${DID}#${X25519_FINGERPRINT}`;
+      const {document, documentUrl} = await didKey.documentLoader(url);
+      expect(documentUrl).to.equal(url);
+      expect(document.id).to.equal(url);
+      expect(document['@context']).to.include(
+        'https://w3id.org/security/suites/x25519-2020/v1');
+
+      const keyPair = await X25519KeyAgreementKey2019.from(document);
+      expect(keyPair.publicKeyBase58).to.equal(X25519_PUBLIC_KEY_BASE58);
+    });
+
+    it('should load a DID document', async () => {
+      const {document} = await didKey.documentLoader(DID);
+      expect(document.id).to.equal(DID);
+    });
+
+    it('should reject a fragment that is not in the DID document', async () => {
+      const url = `${DID}#z6LSnotAKeyOfThisDid`;
+      let error;
+      try {
+        await didKey.documentLoader(url);
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(KeyNotFoundError);
+      expect(error.code).to.equal('ERR_KEY_NOT_FOUND');
+      expect(error.message).to.equal(`"${url}" not found in "${DID}".`);
+    });
+
+    it('should reject non did:key urls', async () => {
+      let error;
+      try {
+        await didKey.documentLoader('https://example.com/key');
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+    });
+  });
+});
@@ -0,0 +1,482 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {
+  hpke, InvalidStateError, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import {decode} from 'base58-universal';
+
+// RFC 9180 Appendix A.1.1, DHKEM(X25519, HKDF-SHA256), HKDF-SHA256,
+// AES-128-GCM, base mode
+const RFC9180_A_1_1 = {
+  info: '4f6465206f6e2061204772656369616e2055726e',
+  ikmE: '7268600d403fce431561aef583ee1613527cff655c1343f29812e66706df3234',
+  ikmR: '6db9df30aa07dd42ee5e8181afdb977e538f5e1fec8a06223f33f7013e525037',
+  skRm: '4612c550263fc8ad58375df3f557aac531d26850903e55a9f23f21d8534e8ac8',
+  enc: '37fda3567bdbd628e88668c3c8d7e97d1d1253b6d4ea6d44c150f741f1bf4431',
+  plaintext: 'Beauty is truth, truth beauty',
+  ciphertexts: [
+    'f938558b5d72f1a23810b4be2ab4f84331acc02fc97babc53a52ae8218a355a96d87' +
+      '70ac83d07bea87e13c512a',
+    'af2d7e9ac9ae7e270f46ba1f975be53c09f8d875bdc8535458c2494e8a6eab251c03' +
+      'd0c22a56b8ca42c2063b84',
+    '498dfcabd92e8acedc281e85af1cb4e3e31c7dc394a1ca20e173cb72516491588d96' +
+      'a19ad4a683518973dcc180'
+  ],
+  exports: [
+    ['', '3853fe2b4035195a573ffc53856e77058e15d9ea064de3e59f4961d0095250ee'],
+    ['54657374436f6e74657874',
+      'e9e43065102c3836401bed8c3c3c75ae46be1639869391d62c61f1ec7af54931']
+  ]
+};
+
+// RFC 9180 Appendix A.1.2-A.1.4 (AES-128-GCM) and A.2.1-A.2.4
+// (ChaCha20-Poly1305), DHKEM(X25519, HKDF-SHA256), HKDF-SHA256; they use the
+// `info` and plaintext of A.1.1. Each has the first ciphertext (aad
+// "Count-0") and the exporter outputs for `EXPORTER_CONTEXTS`.
+const PSK = _hexToBytes(
+  '0247fd33b913760fa1fa51e1892d9f307fbe65eb171e8132c2af18555a738b82');
+const PSK_ID = _hexToBytes('456e6e796e20447572696e206172616e204d6f726961');
+const EXPORTER_CONTEXTS = ['', '00', '54657374436f6e74657874'];
+const RFC9180_VECTORS = {
+  'A.1.2': {
+    mode: 'psk',
+    aead: hpke.AEAD_AES_128_GCM,
+    ikmE: '78628c354e46f3e169bd231be7b2ff1c77aa302460a26dbfa15515684c00130b',
+    ikmR: 'd4a09d09f575fef425905d2ab396c1449141463f698f8efdb7accfaff8995098',
+    enc: '0ad0950d9fb9588e59690b74f1237ecdf1d775cd60be2eca57af5a4b0471c91b',
+    ciphertext:
+      'e52c6fed7f758d0cf7145689f21bc1be6ec9ea097fef4e959440012f4feb73fb611b' +
+      '946199e681f4cfc34db8ea',
+    exports: [
+      'dff17af354c8b41673567db6259fd6029967b4e1aad13023c2ae5df8f4f43bf6',
+      '6a847261d8207fe596befb52928463881ab493da345b10e1dcc645e3b94e2d95',
+      '8aff52b45a1be3a734bc7a41e20b4e055ad4c4d22104b0c20285a7c4302401cd'
+    ]
+  },
+  'A.1.3': {
+    mode: 'auth',
+    aead: hpke.AEAD_AES_128_GCM,
+    ikmE: '6e6d8f200ea2fb20c30b003a8b4f433d2f4ed4c2658d5bc8ce2fef718059c9f7',
+    ikmR: 'f1d4a30a4cef8d6d4e3b016e6fd3799ea057db4f345472ed302a67ce1c20cdec',
+    ikmS: '94b020ce91d73fca4649006c7e7329a67b40c55e9e93cc907d282bbbff386f58',
+    enc: '23fb952571a14a25e3d678140cd0e5eb47a0961bb18afcf85896e5453c312e76',
+    ciphertext:
+      '5fd92cc9d46dbf8943e72a07e42f363ed5f721212cd90bcfd072bfd9f44e06b80fd1' +
+      '7824947496e21b680c141b',
+    exports: [
+      '28c70088017d70c896a8420f04702c5a321d9cbf0279fba899b59e51bac72c85',
+      '25dfc004b0892be1888c3914977aa9c9bbaf2c7471708a49e1195af48a6f29ce',
+      '5a0131813abc9a522cad678eb6bafaabc43389934adb8097d23c5ff68059eb64'
+    ]
+  },
+  'A.1.4': {
+    mode: 'auth_psk',
+    aead: hpke.AEAD_AES_128_GCM,
+    ikmE: '4303619085a20ebcf18edd22782952b8a7161e1dbae6e46e143a52a96127cf84',
+    ikmR: '4b16221f3b269a88e207270b5e1de28cb01f847841b344b8314d6a622fe5ee90',
+    ikmS: '62f77dcf5df0dd7eac54eac9f654f426d4161ec850cc65c54f8b65d2e0b4e345',
+    enc: '820818d3c23993492cc5623ab437a48a0a7ca3e9639c140fe1e33811eb844b7c',
+    ciphertext:
+      'a84c64df1e11d8fd11450039d4fe64ff0c8a99fca0bd72c2d4c3e0400bc14a40f27e' +
+      '45e141a24001697737533e',
+    exports: [
+      '08f7e20644bb9b8af54ad66d2067457c5f9fcb2a23d9f6cb4445c0797b330067',
+      '52e51ff7d436557ced5265ff8b94ce69cf7583f49cdb374e6aad801fc063b010',
+      'a30c20370c026bbea4dca51cb63761695132d342bae33a6a11527d3e7679436d'
+    ]
+  },
+  'A.2.1': {
+    mode: 'base',
+    aead: hpke.AEAD_CHACHA20_POLY1305,
+    ikmE: '909a9b35d3dc4713a5e72a4da274b55d3d3821a37e5d099e74a647db583a904b',
+    ikmR: '1ac01f181fdf9f352797655161c58b75c656a6cc2716dcb66372da835542e1df',
+    enc: '1afa08d3dec047a643885163f1180476fa7ddb54c6a8029ea33f95796bf2ac4a',
+    ciphertext:
+      '1c5250d8034ec2b784ba2cfd69dbdb8af406cfe3ff938e131f0def8c8b60b4db2199' +
+      '3c62ce81883d2dd1b51a28',
+    exports: [
+      '4bbd6243b8bb54cec311fac9df81841b6fd61f56538a775e7c80a9f40160606e',
+      '8c1df14732580e5501b00f82b10a1647b40713191b7c1240ac80e2b68808ba69',
+      '5acb09211139c43b3090489a9da433e8a30ee7188ba8b0a9a1ccf0c229283e53'
+    ]
+  },
+  'A.2.2': {
+    mode: 'psk',
+    aead: hpke.AEAD_CHACHA20_POLY1305,
+    ikmE: '35706a0b09fb26fb45c39c2f5079c709c7cf98e43afa973f14d88ece7e29c2e3',
+    ikmR: '26b923eade72941c8a85b09986cdfa3f1296852261adedc52d58d2930269812b',
+    enc: '2261299c3f40a9afc133b969a97f05e95be2c514e54f3de26cbe5644ac735b04',
+    ciphertext:
+      '4a177f9c0d6f15cfdf533fb65bf84aecdc6ab16b8b85b4cf65a370e07fc1d78d28fb' +
+      '073214525276f4a89608ff',
+    exports: [
+      '813c1bfc516c99076ae0f466671f0ba5ff244a41699f7b2417e4c59d46d39f40',
+      '2745cf3d5bb65c333658732954ee7af49eb895ce77f8022873a62a13c94cb4e1',
+      'ad40e3ae14f21c99bfdebc20ae14ab86f4ca2dc9a4799d200f43a25f99fa78ae'
+    ]
+  },
+  'A.2.3': {
+    mode: 'auth',
+    aead: hpke.AEAD_CHACHA20_POLY1305,
+    ikmE: '938d3daa5a8904540bc24f48ae90eed3f4f7f11839560597b55e7c9598c996c0',
+    ikmR: '64835d5ee64aa7aad57c6f2e4f758f7696617f8829e70bc9ac7a5ef95d1c756c',
+    ikmS: '9d8f94537d5a3ddef71234c0baedfad4ca6861634d0b94c3007fed557ad17df6',
+    enc: 'f7674cc8cd7baa5872d1f33dbaffe3314239f6197ddf5ded1746760bfc847e0e',
+    ciphertext:
+      'ab1a13c9d4f01a87ec3440dbd756e2677bd2ecf9df0ce7ed73869b98e00c09be111c' +
+      'b9fdf077347aeb88e61bdf',
+    exports: [
+      '070cffafd89b67b7f0eeb800235303a223e6ff9d1e774dce8eac585c8688c872',
+      '2852e728568d40ddb0edde284d36a4359c56558bb2fb8837cd3d92e46a3a14a8',
+      '1df39dc5dd60edcbf5f9ae804e15ada66e885b28ed7929116f768369a3f950ee'
+    ]
+  },
+  'A.2.4': {
+    mode: 'auth_psk',
+    aead: hpke.AEAD_CHACHA20_POLY1305,
+    ikmE: '49d6eac8c6c558c953a0a252929a818745bb08cd3d29e15f9f5db5eb2e7d4b84',
+    ikmR: 'f3304ddcf15848488271f12b75ecaf72301faabf6ad283654a14c398832eb184',
+    ikmS: '20ade1d5203de1aadfb261c4700b6432e260d0d317be6ebbb8d7fffb1f86ad9d',
+    enc: '656a2e00dc9990fd189e6e473459392df556e9a2758754a09db3f51179a3fc02',
+    ciphertext:
+      '9aa52e29274fc6172e38a4461361d2342585d3aeec67fb3b721ecd63f059577c7fe8' +
+      '86be0ede01456ebc67d597',
+    exports: [
+      'c23ebd4e7a0ad06a5dddf779f65004ce9481069ce0f0e6dd51a04539ddcbd5cd',
+      'ed7ff5ca40a3d84561067ebc8e01702bc36cf1eb99d42a92004642b9dfaadd37',
+      'd3bae066aa8da27d527d85c040f7dd6ccb60221c902ee36a82f70bcd62a60ee4'
+    ]
+  }
+};
+
+describe('hpke', () => {
+  describe('deriveKeyPair', () => {
+    it('should derive the RFC 9180 key pair from ikm', async () => {
+      const keyPair = await hpke.deriveKeyPair(
+        {ikm: _hexToBytes(RFC9180_A_1_1.ikmR)});
+      _bytesToHex(decode(keyPair.privateKeyBase58))
+        .should.equal(RFC9180_A_1_1.skRm);
+    });
+
+    it('should reject short ikm', async () => {
+      let error;
+      try {
+        await hpke.deriveKeyPair({ikm: new Uint8Array(16)});
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal('"ikm" must be at least 32 bytes.');
+    });
+  });
+
+  describe('RFC 9180 A.1.1 base mode', () => {
+    let ephemeralKeyPair;
+    let recipientKey;
+    const info = _hexToBytes(RFC9180_A_1_1.info);
+    const plaintext = _utf8(RFC9180_A_1_1.plaintext);
+    before(async () => {
+      ephemeralKeyPair = await hpke.deriveKeyPair(
+        {ikm: _hexToBytes(RFC9180_A_1_1.ikmE)});
+      recipientKey = await hpke.deriveKeyPair(
+        {ikm: _hexToBytes(RFC9180_A_1_1.ikmR)});
+    });
+
+    it('should seal a sequence of messages', async () => {
+      const {enc, context} = await hpke.setupSender(
+        {recipientKey, info, ephemeralKeyPair});
+      _bytesToHex(enc).should.equal(RFC9180_A_1_1.enc);
+      for(const [i, expected] of RFC9180_A_1_1.ciphertexts.entries()) {
+        const ciphertext = await context.seal(
+          {plaintext, aad: _utf8(`Count-${i}`)});
+        _bytesToHex(ciphertext).should.equal(expected);
+      }
+    });
+
+    it('should open a sequence of messages', async () => {
+      const context = await hpke.setupRecipient(
+        {enc: _hexToBytes(RFC9180_A_1_1.enc), recipientKey, info});
+      for(const [i, ciphertext] of RFC9180_A_1_1.ciphertexts.entries()) {
+        const result = await context.open({
+          ciphertext: _hexToBytes(ciphertext), aad: _utf8(`Count-${i}`)
+        });
+        result.should.eql(plaintext);
+      }
+    });
+
+    it('should export secrets', async () => {
+      const {context} = await hpke.setupSender(
+        {recipientKey, info, ephemeralKeyPair});
+      for(const [exporterContext, expected] of RFC9180_A_1_1.exports) {
+        const exported = await context.export(
+          {exporterContext: _hexToBytes(exporterContext), length: 32});
+        _bytesToHex(exported).should.equal(expected);
+      }
+    });
+
+    it('should seal and open single-shot', async () => {
+      const aad = _utf8('Count-0');
+      const {enc, ciphertext} = await hpke.seal(
+        {recipientKey, info, ephemeralKeyPair, plaintext, aad});
+      _bytesToHex(ciphertext).should.equal(RFC9180_A_1_1.ciphertexts[0]);
+      const result = await hpke.open(
+        {enc, recipientKey, info, ciphertext, aad});
+      result.should.eql(plaintext);
+    });
+
+    it('should only seal with a sender context', async () => {
+      const {enc, context} = await hpke.setupSender(
+        {recipientKey, info, ephemeralKeyPair});
+      let error;
+      try {
+        await context.open({
+          ciphertext: _hexToBytes(RFC9180_A_1_1.ciphertexts[0]),
+          aad: _utf8('Count-0')
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidStateError);
+      expect(error.code).to.equal('ERR_INVALID_STATE');
+      expect(error.message).to.equal('Only a recipient context can open.');
+
+      const recipientContext = await hpke.setupRecipient(
+        {enc, recipientKey, info});
+      error = undefined;
+      try {
+        await recipientContext.seal({plaintext});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidStateError);
+      expect(error.code).to.equal('ERR_INVALID_STATE');
+      expect(error.message).to.equal('Only a sender context can seal.');
+    });
+
+    it('should stop at the message limit', async () => {
+      const {context} = await hpke.setupSender(
+        {recipientKey, info, ephemeralKeyPair});
+      context._seq = Number.MAX_SAFE_INTEGER;
+      let error;
+      try {
+        await context.seal({plaintext});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidStateError);
+      expect(error.code).to.equal('ERR_INVALID_STATE');
+      expect(error.message).to.equal('HPKE message limit reached.');
+    });
+
+    it('should export single-shot', async () => {
+      const {enc, exported} = await hpke.sendExport(
+        {recipientKey, info, ephemeralKeyPair, length: 32});
+      const [[, expected]] = RFC9180_A_1_1.exports;
+      _bytesToHex(exported).should.equal(expected);
+      const received = await hpke.receiveExport(
+        {enc, recipientKey, info, length: 32});
+      received.should.eql(exported);
+    });
+
+    it('should fail to open with the wrong aad', async () => {
+      let error;
+      try {
+        await hpke.open({
+          enc: _hexToBytes(RFC9180_A_1_1.enc), recipientKey, info,
+          ciphertext: _hexToBytes(RFC9180_A_1_1.ciphertexts[0]),
+          aad: _utf8('Count-1')
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal('HPKE decryption failed.');
+    });
+  });
+
+  describe('RFC 9180 A.1.2-A.1.4 and A.2.1-A.2.4', () => {
+    const info = _hexToBytes(RFC9180_A_1_1.info);
+    const plaintext = _utf8(RFC9180_A_1_1.plaintext);
+    const aad = _utf8('Count-0');
+
+    for(const [section, vector] of Object.entries(RFC9180_VECTORS)) {
+      it(`should pass RFC 9180 ${section} (${vector.mode} mode)`, async () => {
+        const recipientKey = await hpke.deriveKeyPair(
+          {ikm: _hexToBytes(vector.ikmR)});
+        const options = {recipientKey, info, aead: vector.aead};
+        if(vector.mode.includes('psk')) {
+          Object.assign(options, {psk: PSK, pskId: PSK_ID});
+        }
+        const recipientOptions = {...options};
+        if(vector.mode.includes('auth')) {
+          options.senderKey = await hpke.deriveKeyPair(
+            {ikm: _hexToBytes(vector.ikmS)});
+          recipientOptions.senderKey = new X25519KeyAgreementKey2019(
+            {publicKeyBase58: options.senderKey.publicKeyBase58});
+        }
+        const ephemeralKeyPair = await hpke.deriveKeyPair(
+          {ikm: _hexToBytes(vector.ikmE)});
+        const {enc, context} = await hpke.setupSender(
+          {...options, ephemeralKeyPair});
+        _bytesToHex(enc).should.equal(vector.enc);
+        const ciphertext = await context.seal({plaintext, aad});
+        _bytesToHex(ciphertext).should.equal(vector.ciphertext);
+        for(const [i, exporterContext] of EXPORTER_CONTEXTS.entries()) {
+          const exported = await context.export(
+            {exporterContext: _hexToBytes(exporterContext), length: 32});
+          _bytesToHex(exported).should.equal(vector.exports[i]);
+        }
+
+        const result = await hpke.open(
+          {...recipientOptions, enc, ciphertext, aad});
+        result.should.eql(plaintext);
+      });
+    }
+  });
+
+  describe('psk and auth modes', () => {
+    let ephemeralKeyPair;
+    let recipientKey;
+    let senderKey;
+    const plaintext = _utf8('hello');
+    before(async () => {
+      const vector = RFC9180_VECTORS['A.1.4'];
+      ephemeralKeyPair = await hpke.deriveKeyPair(
+        {ikm: _hexToBytes(vector.ikmE)});
+      recipientKey = await hpke.deriveKeyPair({ikm: _hexToBytes(vector.ikmR)});
+      senderKey = await hpke.deriveKeyPair({ikm: _hexToBytes(vector.ikmS)});
+    });
+
+    it('should not open an auth message from another sender', async () => {
+      const {enc, ciphertext} = await hpke.seal(
+        {recipientKey, senderKey, plaintext});
+      let error;
+      try {
+        await hpke.open(
+          {enc, recipientKey, senderKey: ephemeralKeyPair, ciphertext});
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal('HPKE decryption failed.');
+    });
+
+    it('should require "psk" and "pskId" together', async () => {
+      let error;
+      try {
+        await hpke.seal({recipientKey, psk: PSK, plaintext});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        '"psk" and "pskId" must be given together.');
+
+      error = undefined;
+      try {
+        await hpke.seal({recipientKey, pskId: PSK_ID, plaintext});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        '"psk" and "pskId" must be given together.');
+    });
+
+    it('should treat an empty "psk" and "pskId" as none', async () => {
+      const {enc, ciphertext} = await hpke.seal({
+        recipientKey, psk: new Uint8Array(), pskId: new Uint8Array(),
+        plaintext
+      });
+      const result = await hpke.open({enc, recipientKey, ciphertext});
+      result.should.eql(plaintext);
+
+      let error;
+      try {
+        await hpke.seal(
+          {recipientKey, psk: new Uint8Array(), pskId: PSK_ID, plaintext});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(TypeError);
+      expect(error.message).to.equal(
+        '"psk" and "pskId" must be given together.');
+    });
+
+    it('should require a "psk" of at least 32 bytes', async () => {
+      let error;
+      try {
+        await hpke.seal({
+          recipientKey, psk: PSK.subarray(0, 31), pskId: PSK_ID, plaintext
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(RangeError);
+      expect(error.message).to.equal('"psk" must be at least 32 bytes.');
+    });
+  });
+
+  describe('AEADs', () => {
+    let recipientKey;
+    before(async () => {
+      recipientKey = await X25519KeyAgreementKey2019.generate();
+    });
+
+    for(const aead of [
+      hpke.AEAD_AES_128_GCM, hpke.AEAD_AES_256_GCM,
+      hpke.AEAD_CHACHA20_POLY1305
+    ]) {
+      it(`should round trip with AEAD ${aead}`, async () => {
+        const plaintext = _utf8('hello');
+        const {enc, ciphertext} = await hpke.seal(
+          {recipientKey, aead, plaintext});
+        const result = await hpke.open({enc, recipientKey, aead, ciphertext});
+        result.should.eql(plaintext);
+      });
+    }
+
+    it('should only export with the export-only AEAD', async () => {
+      const aead = hpke.AEAD_EXPORT_ONLY;
+      const {enc, exported} = await hpke.sendExport(
+        {recipientKey, aead, length: 16});
+      const received = await hpke.receiveExport(
+        {enc, recipientKey, aead, length: 16});
+      received.should.eql(exported);
+      let error;
+      try {
+        await hpke.seal({recipientKey, aead, plaintext: _utf8('hello')});
+      } catch(e) {
+        error = e;
+      }
+      expect(error).to.be.instanceOf(InvalidStateError);
+      expect(error.code).to.equal('ERR_INVALID_STATE');
+      expect(error.message).to.equal(
+        'Export-only contexts cannot seal or open.');
+    });
+
+    it('should reject an unknown AEAD', async () => {
+      let error;
+      try {
+        await hpke.seal({recipientKey, aead: 42, plaintext: _utf8('hello')});
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal('Unsupported HPKE AEAD "42".');
+    });
+  });
+});
+
+function _utf8(value) {
+  return new TextEncoder().encode(value);
+}
+
+function _hexToBytes(hex) {
+  return new Uint8Array((hex.match(/../g) || []).map(h => parseInt(h, 16)));
+}
+
+function _bytesToHex(bytes) {
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
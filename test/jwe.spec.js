@@ -0,0 +1,314 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import * as base64url from 'base64url-universal';
+import {
+  jwe, UnsupportedFormatError, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import {
+  aesGcmEncrypt, aesKwWrap, digest, getRandomBytes
+} from '../lib/primitives.js';
+
+const plaintext = new TextEncoder().encode('hello world');
+
+describe('jwe', () => {
+  let alice;
+  let bob;
+  before(async () => {
+    alice = await X25519KeyAgreementKey2019.generate(
+      {controller: 'did:example:alice'});
+    bob = await X25519KeyAgreementKey2019.generate(
+      {controller: 'did:example:bob'});
+  });
+
+  for(const enc of ['XC20P', 'A256GCM', 'A256CBC-HS512']) {
+    it(`should encrypt and decrypt with ${enc}`, async () => {
+      const result = await jwe.encrypt({recipients: [alice], plaintext, enc});
+      expect(result).to.have.keys(
+        ['protected', 'recipients', 'iv', 'ciphertext', 'tag']);
+      expect(result.recipients).to.have.length(1);
+      const [{header}] = result.recipients;
+      expect(header.alg).to.equal('ECDH-ES+A256KW');
+      expect(header.kid).to.equal(alice.id);
+      expect(header.epk).to.have.keys(['kty', 'crv', 'x']);
+
+      const decrypted = await jwe.decrypt(
+        {jwe: result, keyAgreementKey: alice});
+      expect(new TextDecoder().decode(decrypted)).to.equal('hello world');
+    });
+  }
+
+  it('should encrypt to multiple recipients', async () => {
+    const result = await jwe.encrypt({recipients: [alice, bob], plaintext});
+    expect(result.recipients).to.have.length(2);
+    const [epk1, epk2] = result.recipients.map(({header}) => header.epk.x);
+    expect(epk1).to.not.equal(epk2);
+
+    for(const keyAgreementKey of [alice, bob]) {
+      const decrypted = await jwe.decrypt({jwe: result, keyAgreementKey});
+      expect(new TextDecoder().decode(decrypted)).to.equal('hello world');
+    }
+  });
+
+  it('should produce a flattened serialization', async () => {
+    const result = await jwe.encrypt(
+      {recipients: [bob], plaintext, serialization: 'flattened'});
+    expect(result).to.have.keys(
+      ['protected', 'header', 'encrypted_key', 'iv', 'ciphertext', 'tag']);
+
+    const decrypted = await jwe.decrypt({jwe: result, keyAgreementKey: bob});
+    expect(new TextDecoder().decode(decrypted)).to.equal('hello world');
+  });
+
+  it('should decrypt with "epk" in the protected header', async () => {
+    // a flattened ECDH-ES JWE with every header parameter protected
+    const ephemeralKey = await X25519KeyAgreementKey2019.generate();
+    const apu = getRandomBytes(8);
+    const apv = new TextEncoder().encode(bob.id);
+    const kek = await ephemeralKey.deriveSharedKey({
+      publicKey: bob, kdf: 'ConcatKDF', algorithm: 'ECDH-ES+A256KW',
+      apu, apv
+    });
+    const cek = getRandomBytes(32);
+    const iv = getRandomBytes(12);
+    const header = base64url.encode(new TextEncoder().encode(JSON.stringify({
+      alg: 'ECDH-ES+A256KW', enc: 'A256GCM', kid: bob.id,
+      epk: ephemeralKey.toJwk(), apu: base64url.encode(apu),
+      apv: base64url.encode(apv)
+    })));
+    const encrypted = await aesGcmEncrypt({
+      key: cek, iv, plaintext,
+      additionalData: new TextEncoder().encode(header)
+    });
+    const result = {
+      protected: header,
+      encrypted_key: base64url.encode(await aesKwWrap({kek, key: cek})),
+      iv: base64url.encode(iv),
+      ciphertext: base64url.encode(encrypted.subarray(0, -16)),
+      tag: base64url.encode(encrypted.subarray(-16))
+    };
+
+    const decrypted = await jwe.decrypt({jwe: result, keyAgreementKey: bob});
+    expect(new TextDecoder().decode(decrypted)).to.equal('hello world');
+  });
+
+  it('should reject flattened serialization with many recipients', async () => {
+    let error;
+    try {
+      await jwe.encrypt({
+        recipients: [alice, bob], plaintext, serialization: 'flattened'
+      });
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(UnsupportedFormatError);
+    expect(error.code).to.equal('ERR_UNSUPPORTED_FORMAT');
+    expect(error.message).to.equal(
+      'Flattened serialization requires exactly one recipient.');
+  });
+
+  it('should require a key agreement key with an id', async () => {
+    const result = await jwe.encrypt({recipients: [alice], plaintext});
+    // a recipient without a `kid` must not match a key without an `id`
+    delete result.recipients[0].header.kid;
+    const keyAgreementKey = new X25519KeyAgreementKey2019({
+      publicKeyBase58: alice.publicKeyBase58,
+      privateKeyBase58: alice.privateKeyBase58
+    });
+    let error;
+    try {
+      await jwe.decrypt({jwe: result, keyAgreementKey});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(TypeError);
+    expect(error.message).to.equal('"keyAgreementKey" must have an "id".');
+  });
+
+  it('should fail if no recipient matches the key id', async () => {
+    const result = await jwe.encrypt({recipients: [alice], plaintext});
+    let error;
+    try {
+      await jwe.decrypt({jwe: result, keyAgreementKey: bob});
+    } catch(e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      'No matching recipient found for key agreement key.');
+  });
+
+  it('should fail on a tampered ciphertext', async () => {
+    for(const enc of ['XC20P', 'A256GCM', 'A256CBC-HS512']) {
+      const result = await jwe.encrypt({recipients: [alice], plaintext, enc});
+      const tampered = {...result, tag: result.iv.slice(0, 22)};
+      let error;
+      try {
+        await jwe.decrypt({jwe: tampered, keyAgreementKey: alice});
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        'Invalid decryption key or corrupted ciphertext.');
+    }
+  });
+
+  describe('ECDH-1PU', () => {
+    // draft-madden-jose-ecdh-1pu-04 Appendix B
+    const vector = {
+      alice: {
+        x: 'Knbm_BcdQr7WIoz-uqit9M0wbcfEr6y-9UfIZ8QnBD4',
+        d: 'i9KuFhSzEBsiv3PKVL5115OCdsqQai5nj_Flzfkw5jU'
+      },
+      bob: {
+        x: 'BT7aR0ItXfeDAldeeOlXL_wXqp-j5FltT0vRSG16kRw',
+        d: '1gDirl_r_Y3-qUa3WXHgEXrrEHngWThU3c9zj9A2uBg'
+      },
+      charlie: {
+        x: 'q-LsvU772uV_2sPJhfAIq-3vnKNVefNoIlvyvg1hrnE',
+        d: 'Jcv8gklhMjC0b-lsk5onBbppWAx5ncNtbM63Jr9xBQE'
+      },
+      ephemeral: {
+        x: 'k9of_cpAajy0poW5gaixXGs9nHkwg1AFqUAFa39dyBc',
+        d: 'x8EVZH4Fwk673_mUujnliJoSrLz0zYzzCWp5GUX2fc8'
+      },
+      cek: 'fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0efeeedecebeae9e8e7e6e5e4e3e2e1e0' +
+        'dfdedddcdbdad9d8d7d6d5d4d3d2d1d0cfcecdcccbcac9c8c7c6c5c4c3c2c1c0',
+      iv: '000102030405060708090a0b0c0d0e0f',
+      jwe: {
+        protected: 'eyJhbGciOiJFQ0RILTFQVStBMTI4S1ciLCJlbmMiOiJBMjU2Q0JDLUhT' +
+          'NTEyIiwiYXB1IjoiUVd4cFkyVSIsImFwdiI6IlFtOWlJR0Z1WkNCRGFHRnliR2xs' +
+          'IiwiZXBrIjp7Imt0eSI6Ik9LUCIsImNydiI6IlgyNTUxOSIsIngiOiJrOW9mX2Nw' +
+          'QWFqeTBwb1c1Z2FpeFhHczluSGt3ZzFBRnFVQUZhMzlkeUJjIn19',
+        recipients: [{
+          header: {kid: 'bob-key-2'},
+          encrypted_key: 'pOMVA9_PtoRe7xXW1139NzzN1UhiFoio8lGto9cf0t8PyU-sj' +
+            'NXH8-LIRLycq8CHJQbDwvQeU1cSl55cQ0hGezJu2N9IY0QN'
+        }, {
+          header: {kid: '2021-05-06'},
+          encrypted_key: '56GVudgRLIMEElQ7DpXsijJVRSWUSDNdbWkdV3g0GUNq6hcT_' +
+            'GkxwnxlPIWrTXCqRpVKQC8fe4z3PQ2YH2afvjQ28aiCTWFE'
+        }],
+        iv: 'AAECAwQFBgcICQoLDA0ODw',
+        ciphertext: 'Az2IWsISEMDJvyc5XRL-3-d-RgNBOGolCsxFFoUXFYw',
+        tag: 'HLb4fTlm8spGmij3RyOs2gJ4DpHM4hhVRwdF_hGb3WQ'
+      }
+    };
+    const plaintext = new TextEncoder().encode('Three is a magic number.');
+    const fromVector = ({x, d}, id) => X25519KeyAgreementKey2019.fromJwk(
+      {jwk: {kty: 'OKP', crv: 'X25519', x, d}, id});
+
+    let sender;
+    let bobKey;
+    let charlieKey;
+    before(() => {
+      sender = fromVector(vector.alice);
+      bobKey = fromVector(vector.bob, 'bob-key-2');
+      charlieKey = fromVector(vector.charlie, '2021-05-06');
+    });
+
+    it('should produce the draft test vector JWE', async () => {
+      const result = await jwe.encrypt({
+        recipients: [bobKey, charlieKey], plaintext, alg: 'ECDH-1PU+A128KW',
+        sender,
+        apu: new TextEncoder().encode('Alice'),
+        apv: new TextEncoder().encode('Bob and Charlie'),
+        ephemeralKeyPair: fromVector(vector.ephemeral),
+        getRandomBytes: length => hexToBytes(
+          length === 64 ? vector.cek : vector.iv)
+      });
+      expect(result).to.eql(vector.jwe);
+    });
+
+    it('should decrypt the draft test vector JWE', async () => {
+      const senderKey = new X25519KeyAgreementKey2019(
+        {publicKeyBase58: sender.publicKeyBase58});
+      for(const keyAgreementKey of [bobKey, charlieKey]) {
+        const result = await jwe.decrypt(
+          {jwe: vector.jwe, keyAgreementKey, senderKey});
+        expect(result).to.eql(plaintext);
+      }
+    });
+
+    it('should default to DIDComm authcrypt parameters', async () => {
+      const carolKey = await X25519KeyAgreementKey2019.generate(
+        {controller: 'did:example:carol'});
+      const result = await jwe.encrypt({
+        recipients: [alice, bob], plaintext, alg: 'ECDH-1PU+A256KW',
+        sender: carolKey
+      });
+      const header = JSON.parse(new TextDecoder().decode(
+        base64url.decode(result.protected)));
+      expect(header).to.have.keys(['alg', 'enc', 'skid', 'apu', 'apv', 'epk']);
+      expect(header.enc).to.equal('A256CBC-HS512');
+      expect(header.skid).to.equal(carolKey.id);
+      expect(new TextDecoder().decode(base64url.decode(header.apu)))
+        .to.equal(carolKey.id);
+      const kids = [alice.id, bob.id].sort().join('.');
+      const apv = await digest(
+        {hash: 'SHA-256', data: new TextEncoder().encode(kids)});
+      expect(header.apv).to.equal(base64url.encode(apv));
+
+      const senderKey = new X25519KeyAgreementKey2019({
+        id: carolKey.id, publicKeyBase58: carolKey.publicKeyBase58
+      });
+      for(const keyAgreementKey of [alice, bob]) {
+        const decrypted = await jwe.decrypt(
+          {jwe: result, keyAgreementKey, senderKey});
+        expect(decrypted).to.eql(plaintext);
+      }
+    });
+
+    it('should fail to decrypt with the wrong sender key', async () => {
+      const result = await jwe.encrypt({
+        recipients: [alice], plaintext, alg: 'ECDH-1PU+A256KW', sender
+      });
+      let error;
+      try {
+        await jwe.decrypt(
+          {jwe: result, keyAgreementKey: alice, senderKey: bob});
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        'Invalid decryption key or corrupted ciphertext.');
+    });
+
+    it('should require a sender key to decrypt', async () => {
+      const result = await jwe.encrypt({
+        recipients: [alice], plaintext, alg: 'ECDH-1PU+A256KW', sender,
+        serialization: 'flattened'
+      });
+      let error;
+      try {
+        await jwe.decrypt({jwe: result, keyAgreementKey: alice});
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        '"senderKey" is required for "ECDH-1PU+A256KW".');
+    });
+
+    it('should require A256CBC-HS512 content encryption', async () => {
+      let error;
+      try {
+        await jwe.encrypt({
+          recipients: [alice], plaintext, alg: 'ECDH-1PU+A256KW', sender,
+          enc: 'XC20P'
+        });
+      } catch(e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        '"ECDH-1PU" key wrapping requires "A256CBC-HS512" content ' +
+        'encryption; got "XC20P".');
+    });
+  });
+});
+
+function hexToBytes(hex) {
+  return new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)));
+}
@@ -0,0 +1,227 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {
+  DestroyedKeyError, KeyNotFoundError, KeyStore, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import * as cryptoWebCrypto from '../lib/crypto-webcrypto.js';
+import {encode} from 'base58-universal';
+import {webcrypto} from '../lib/webcrypto.js';
+
+const CONTROLLER = 'did:example:1234';
+
+describe('KeyStore', () => {
+  let keyStore;
+  beforeEach(() => {
+    keyStore = new KeyStore();
+  });
+
+  it('should get key pairs by id and fingerprint', async () => {
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await keyStore.put({keyPair});
+
+    const byId = await keyStore.get({id: keyPair.id});
+    expect(byId).to.be.instanceOf(X25519KeyAgreementKey2019);
+    expect(byId).to.not.equal(keyPair);
+    expect(byId.export({publicKey: true, privateKey: true}))
+      .to.eql(keyPair.export({publicKey: true, privateKey: true}));
+
+    const byFingerprint = await keyStore.get(
+      {fingerprint: keyPair.fingerprint()});
+    expect(byFingerprint.id).to.equal(keyPair.id);
+    expect(byFingerprint.privateKeyBase58).to.equal(keyPair.privateKeyBase58);
+
+    // the stored key pair can be used right away
+    const remoteKey = await X25519KeyAgreementKey2019.generate();
+    const secret = await byId.deriveSecret({publicKey: remoteKey});
+    expect(secret).to.have.length(32);
+
+    expect(await keyStore.get({id: 'did:example:unknown#key'}))
+      .to.be.undefined;
+    expect(await keyStore.get({fingerprint: remoteKey.fingerprint()}))
+      .to.be.undefined;
+  });
+
+  it('should store key pairs with binary private keys', async () => {
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER, binaryPrivateKey: true});
+    await keyStore.put({keyPair});
+    const stored = await keyStore.get({id: keyPair.id});
+    expect(stored.validate().valid).to.be.true;
+    expect(stored.hasPrivateKey).to.be.true;
+    expect(stored.privateKeyBase58).to.be.undefined;
+
+    // the store keeps its own copy
+    keyPair.destroy();
+    stored.destroy();
+    const copy = await keyStore.get({id: keyPair.id});
+    expect(copy.validate().valid).to.be.true;
+    const [listed] = await keyStore.list();
+    expect(listed.privateKeyBase58).to.be.undefined;
+    expect(listed.export({publicKey: true, privateKey: true}))
+      .to.eql(copy.export({publicKey: true, privateKey: true}));
+  });
+
+  it('should store key pairs with native private keys', async function() {
+    if(!await cryptoWebCrypto.isSupported()) {
+      this.skip();
+    }
+    const {subtle} = webcrypto;
+    const {publicKey, privateKey} = await subtle.generateKey(
+      {name: 'X25519'}, false, ['deriveBits']);
+    const keyPair = new X25519KeyAgreementKey2019({
+      controller: CONTROLLER,
+      publicKeyBase58: encode(
+        new Uint8Array(await subtle.exportKey('raw', publicKey))),
+      privateKey
+    });
+    await keyStore.put({keyPair});
+    const stored = await keyStore.get({id: keyPair.id});
+    expect(stored.backend).to.equal('webcrypto');
+    expect(stored.hasPrivateKey).to.be.true;
+
+    const remoteKey = await X25519KeyAgreementKey2019.generate();
+    const secret = await stored.deriveSecret({publicKey: remoteKey});
+    expect(secret).to.eql(await keyPair.deriveSecret({publicKey: remoteKey}));
+  });
+
+  it('should require a key pair with an id', async () => {
+    let error;
+    try {
+      await keyStore.put({keyPair: await X25519KeyAgreementKey2019.generate()});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(TypeError);
+    expect(error.message).to.equal('"keyPair" must have an "id".');
+
+    error = undefined;
+    try {
+      await keyStore.get();
+    } catch(e) {
+      error = e;
+    }
+    expect(error.message).to.equal('Either "id" or "fingerprint" is required.');
+  });
+
+  it('should list key pairs', async () => {
+    const active = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    const revoked = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    revoked.revoke({date: '2018-01-01T00:00:00Z'});
+    const expired = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER, expires: '2020-01-01T00:00:00Z'});
+    for(const keyPair of [active, revoked, expired]) {
+      await keyStore.put({keyPair});
+    }
+
+    const all = await keyStore.list();
+    expect(all.map(({id}) => id)).to.eql([active.id, revoked.id, expired.id]);
+    expect(all[1].revoked).to.equal(revoked.revoked);
+
+    const activeKeys = await keyStore.list({active: true});
+    expect(activeKeys.map(({id}) => id)).to.eql([active.id]);
+
+    const earlier = await keyStore.list(
+      {active: true, date: '2019-01-01T00:00:00Z'});
+    expect(earlier.map(({id}) => id)).to.eql([active.id, expired.id]);
+
+    const publicKeys = await keyStore.list({privateKey: false});
+    expect(publicKeys.every(keyPair => !keyPair.privateKeyBase58)).to.be.true;
+  });
+
+  it('should delete key pairs', async () => {
+    const keyPair1 = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    const keyPair2 = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await keyStore.put({keyPair: keyPair1});
+    await keyStore.put({keyPair: keyPair2});
+
+    expect(await keyStore.delete({id: keyPair1.id})).to.be.true;
+    expect(await keyStore.delete({id: keyPair1.id})).to.be.false;
+    expect(await keyStore.delete({fingerprint: keyPair2.fingerprint()}))
+      .to.be.true;
+    expect(await keyStore.list()).to.eql([]);
+  });
+
+  it('should rotate key pairs', async () => {
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await keyStore.put({keyPair});
+
+    const date = '2022-06-01T00:00:00Z';
+    const {keyPair: newKeyPair, previousKeyPair} = await keyStore.rotate(
+      {fingerprint: keyPair.fingerprint(), date});
+    expect(previousKeyPair.id).to.equal(keyPair.id);
+    expect(previousKeyPair.revoked).to.equal('2022-06-01T00:00:00.000Z');
+    expect(newKeyPair.controller).to.equal(CONTROLLER);
+    expect(newKeyPair.id).to.not.equal(keyPair.id);
+
+    // the revoked key pair is kept to decrypt older messages
+    const stored = await keyStore.get({id: keyPair.id});
+    expect(stored.isActive()).to.be.false;
+    expect(stored.privateKeyBase58).to.equal(keyPair.privateKeyBase58);
+
+    const activeKeys = await keyStore.list({active: true});
+    expect(activeKeys.map(({id}) => id)).to.eql([newKeyPair.id]);
+
+    let error;
+    try {
+      await keyStore.rotate({id: 'did:example:unknown#key'});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(KeyNotFoundError);
+    expect(error.code).to.equal('ERR_KEY_NOT_FOUND');
+  });
+
+  it('should rotate key pairs without a controller', async () => {
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {id: 'urn:key:1'});
+    await keyStore.put({keyPair});
+
+    let error;
+    try {
+      await keyStore.rotate({id: keyPair.id});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(TypeError);
+    expect(error.message).to.equal(
+      '"generateOptions.id" is required to rotate a key pair without a ' +
+      '"controller".');
+    // nothing was rotated
+    expect((await keyStore.get({id: keyPair.id})).isActive()).to.be.true;
+    expect(await keyStore.list()).to.have.length(1);
+
+    const {keyPair: newKeyPair} = await keyStore.rotate(
+      {id: keyPair.id, generateOptions: {id: 'urn:key:2'}});
+    expect(newKeyPair.id).to.equal('urn:key:2');
+    expect((await keyStore.get({id: keyPair.id})).isActive()).to.be.false;
+    expect((await keyStore.get({id: 'urn:key:2'})).hasPrivateKey)
+      .to.be.true;
+  });
+
+  it('should not store destroyed key pairs', async () => {
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await keyStore.put({keyPair});
+    keyPair.destroy();
+
+    let error;
+    try {
+      await keyStore.put({keyPair});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(DestroyedKeyError);
+    expect((await keyStore.get({id: keyPair.id})).hasPrivateKey).to.be.true;
+  });
+});
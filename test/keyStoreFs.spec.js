@@ -0,0 +1,136 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {
+  DecryptionError, DestroyedKeyError, FileSystemKeyStoreAdapter, KeyStore,
+  X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import {mkdtempSync, readdirSync, readFileSync, rmSync, statSync} from
+  'node:fs';
+import {join} from 'node:path';
+import {tmpdir} from 'node:os';
+
+const CONTROLLER = 'did:example:1234';
+// fast, for tests only
+const kdfParams = {iterations: 1000};
+
+describe('FileSystemKeyStoreAdapter', () => {
+  let dir;
+  let path;
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'x25519-key-store-'));
+    path = join(dir, 'keys');
+  });
+  afterEach(() => {
+    rmSync(dir, {recursive: true, force: true});
+  });
+
+  function createKeyStore({password = 'password'} = {}) {
+    return new KeyStore({
+      adapter: new FileSystemKeyStoreAdapter({path, password, kdfParams})
+    });
+  }
+
+  it('should store encrypted key pairs', async () => {
+    const keyStore = createKeyStore();
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await keyStore.put({keyPair});
+
+    const files = readdirSync(path);
+    expect(files).to.have.length(1);
+    const text = readFileSync(join(path, files[0]), 'utf8');
+    expect(text).to.not.include(keyPair.privateKeyBase58);
+    const record = JSON.parse(text);
+    expect(record.id).to.equal(keyPair.id);
+    expect(record.encryptedPrivateKey).to.exist;
+    if(process.platform !== 'win32') {
+      expect(statSync(join(path, files[0])).mode & 0o777).to.equal(0o600);
+    }
+
+    // a new store on the same directory
+    const stored = await createKeyStore().get({id: keyPair.id});
+    expect(stored.privateKeyBase58).to.equal(keyPair.privateKeyBase58);
+    expect(stored.controller).to.equal(CONTROLLER);
+  });
+
+  it('should find, list and delete key pairs', async () => {
+    const keyStore = createKeyStore();
+    expect(await keyStore.list()).to.eql([]);
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    const publicKeyPair = new X25519KeyAgreementKey2019({
+      controller: 'did:example:5678',
+      publicKeyBase58: (await X25519KeyAgreementKey2019.generate())
+        .publicKeyBase58
+    });
+    await keyStore.put({keyPair});
+    await keyStore.put({keyPair: publicKeyPair});
+
+    const byFingerprint = await keyStore.get(
+      {fingerprint: keyPair.fingerprint()});
+    expect(byFingerprint.privateKeyBase58).to.equal(keyPair.privateKeyBase58);
+
+    const ids = (await keyStore.list()).map(({id}) => id);
+    expect(ids).to.have.members([keyPair.id, publicKeyPair.id]);
+
+    expect(await keyStore.delete({id: publicKeyPair.id})).to.be.true;
+    expect(await keyStore.delete({id: publicKeyPair.id})).to.be.false;
+    expect(await keyStore.get({id: publicKeyPair.id})).to.be.undefined;
+  });
+
+  it('should rotate and keep revoked key pairs', async () => {
+    const keyStore = createKeyStore();
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await keyStore.put({keyPair});
+    const {keyPair: newKeyPair} = await keyStore.rotate({id: keyPair.id});
+
+    const activeKeys = await keyStore.list({active: true, privateKey: false});
+    expect(activeKeys.map(({id}) => id)).to.eql([newKeyPair.id]);
+    const previous = await keyStore.get({id: keyPair.id});
+    expect(previous.revoked).to.be.a('string');
+    expect(previous.privateKeyBase58).to.equal(keyPair.privateKeyBase58);
+  });
+
+  it('should not store destroyed key pairs', async () => {
+    const keyStore = createKeyStore();
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await keyStore.put({keyPair});
+    keyPair.destroy();
+
+    let error;
+    try {
+      await keyStore.put({keyPair});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(DestroyedKeyError);
+    expect(error.code).to.equal('ERR_KEY_DESTROYED');
+    expect((await keyStore.get({id: keyPair.id})).hasPrivateKey).to.be.true;
+    expect(readdirSync(path)).to.have.length(1);
+  });
+
+  it('should not decrypt with the wrong password', async () => {
+    const keyPair = await X25519KeyAgreementKey2019.generate(
+      {controller: CONTROLLER});
+    await createKeyStore().put({keyPair});
+
+    const keyStore = createKeyStore({password: 'wrong'});
+    // public key material is available without the password
+    const [listed] = await keyStore.list({privateKey: false});
+    expect(listed.id).to.equal(keyPair.id);
+    let error;
+    try {
+      await keyStore.get({id: keyPair.id});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(DecryptionError);
+  });
+});
@@ -0,0 +1,29 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import {X25519KeyAgreementKey2019} from '../lib/index.js';
+
+/**
+ * In-memory stand-in for a KMS that keeps private keys to itself and only
+ * exposes key agreers.
+ */
+export class MockKms {
+  constructor() {
+    this._keys = new Map();
+  }
+
+  async generateKey({controller} = {}) {
+    const keyPair = await X25519KeyAgreementKey2019.generate({controller});
+    this._keys.set(keyPair.id, keyPair);
+    const {id, publicKeyBase58} = keyPair;
+    const kms = this;
+    const keyAgreer = {
+      id,
+      algorithm: 'X25519',
+      async deriveSecret({publicKey}) {
+        return kms._keys.get(id).deriveSecret({publicKey});
+      }
+    };
+    return {id, publicKeyBase58, keyAgreer};
+  }
+}
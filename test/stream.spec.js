@@ -0,0 +1,227 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {
+  DecryptionError, stream, UnsupportedFormatError, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+
+// "x25519-stream/v1", chunk size and ephemeral public key
+const HEADER_LENGTH = 52;
+const TAG_LENGTH = 16;
+
+describe('stream', () => {
+  let recipientKey;
+  before(async function() {
+    if(typeof TransformStream === 'undefined') {
+      this.skip();
+    }
+    recipientKey = await X25519KeyAgreementKey2019.generate();
+  });
+
+  it('should encrypt and decrypt payloads of any length', async () => {
+    const chunkSize = 64;
+    for(const length of [0, 1, 63, 64, 65, 128, 200]) {
+      const plaintext = _bytes(length);
+      // written in pieces that do not line up with the chunks
+      const ciphertext = await _encrypt(
+        {plaintext, recipientKey, chunkSize, pieceSize: 7});
+      const chunks = Math.max(Math.ceil(length / chunkSize), 1);
+      expect(ciphertext).to.have.length(
+        HEADER_LENGTH + length + chunks * TAG_LENGTH);
+      expect(new TextDecoder().decode(ciphertext.subarray(0, 16)))
+        .to.equal('x25519-stream/v1');
+
+      const decrypted = await _decrypt(
+        {ciphertext, recipientKey, pieceSize: 5});
+      expect(decrypted).to.eql(plaintext);
+    }
+  });
+
+  it('should use 64 KiB chunks by default', async () => {
+    const plaintext = _bytes(200 * 1024);
+    const ciphertext = await _encrypt({plaintext, recipientKey});
+    expect(ciphertext).to.have.length(
+      HEADER_LENGTH + plaintext.length + 4 * TAG_LENGTH);
+    expect(await _decrypt({ciphertext, recipientKey})).to.eql(plaintext);
+  });
+
+  it('should use a new ephemeral key for each stream', async () => {
+    const plaintext = _bytes(10);
+    const ciphertext1 = await _encrypt({plaintext, recipientKey});
+    const ciphertext2 = await _encrypt({plaintext, recipientKey});
+    expect(ciphertext1).to.not.eql(ciphertext2);
+  });
+
+  it('should not decrypt with another key pair', async () => {
+    const ciphertext = await _encrypt({plaintext: _bytes(10), recipientKey});
+    const error = await _decryptError(
+      {ciphertext, recipientKey: await X25519KeyAgreementKey2019.generate()});
+    expect(error).to.be.instanceOf(DecryptionError);
+    expect(error.code).to.equal('ERR_DECRYPTION');
+  });
+
+  it('should detect truncation', async () => {
+    const chunkSize = 64;
+    const ciphertext = await _encrypt(
+      {plaintext: _bytes(150), recipientKey, chunkSize});
+    const sealedChunkSize = chunkSize + TAG_LENGTH;
+    for(const length of [
+      // the last chunk dropped, or all but the first
+      HEADER_LENGTH + 2 * sealedChunkSize,
+      HEADER_LENGTH + sealedChunkSize,
+      // cut within a chunk, within a tag and within the header
+      ciphertext.length - 1,
+      HEADER_LENGTH + 10,
+      HEADER_LENGTH,
+      20
+    ]) {
+      const error = await _decryptError(
+        {ciphertext: ciphertext.slice(0, length), recipientKey});
+      expect(error).to.be.instanceOf(DecryptionError);
+    }
+  });
+
+  it('should detect reordered, modified and appended chunks', async () => {
+    const chunkSize = 64;
+    const sealedChunkSize = chunkSize + TAG_LENGTH;
+    const ciphertext = await _encrypt(
+      {plaintext: _bytes(200), recipientKey, chunkSize});
+
+    const reordered = ciphertext.slice();
+    reordered.set(ciphertext.subarray(
+      HEADER_LENGTH + sealedChunkSize, HEADER_LENGTH + 2 * sealedChunkSize),
+    HEADER_LENGTH);
+    reordered.set(ciphertext.subarray(
+      HEADER_LENGTH, HEADER_LENGTH + sealedChunkSize),
+    HEADER_LENGTH + sealedChunkSize);
+    expect(await _decryptError({ciphertext: reordered, recipientKey}))
+      .to.be.instanceOf(DecryptionError);
+
+    const modified = ciphertext.slice();
+    modified[HEADER_LENGTH + 100] ^= 1;
+    expect(await _decryptError({ciphertext: modified, recipientKey}))
+      .to.be.instanceOf(DecryptionError);
+
+    // a chunk size that is different from the one the key was derived with
+    const resized = ciphertext.slice();
+    resized[19] = 32;
+    expect(await _decryptError({ciphertext: resized, recipientKey}))
+      .to.be.instanceOf(DecryptionError);
+
+    // a whole stream appended to another
+    const other = await _encrypt(
+      {plaintext: _bytes(10), recipientKey, chunkSize});
+    const appended = new Uint8Array(ciphertext.length + other.length);
+    appended.set(ciphertext);
+    appended.set(other, ciphertext.length);
+    expect(await _decryptError({ciphertext: appended, recipientKey}))
+      .to.be.instanceOf(DecryptionError);
+  });
+
+  it('should reject other formats', async () => {
+    const ciphertext = await _encrypt({plaintext: _bytes(10), recipientKey});
+    const other = ciphertext.slice();
+    other[15] = 0x32;
+    let error = await _decryptError({ciphertext: other, recipientKey});
+    expect(error).to.be.instanceOf(UnsupportedFormatError);
+    expect(error.message).to.equal(
+      'The stream is not an "x25519-stream/v1" encrypted stream.');
+
+    const huge = ciphertext.slice();
+    huge[16] = 0x10;
+    error = await _decryptError({ciphertext: huge, recipientKey});
+    expect(error).to.be.instanceOf(UnsupportedFormatError);
+  });
+
+  it('should validate options and chunks', async () => {
+    let error;
+    try {
+      stream.createEncryptStream({recipientKey, chunkSize: 0});
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(RangeError);
+
+    error = undefined;
+    try {
+      stream.createDecryptStream();
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(TypeError);
+    expect(error.message).to.equal('"recipientKey" must be a key pair.');
+
+    error = undefined;
+    try {
+      await _collect(_readable(['text']).pipeThrough(
+        stream.createEncryptStream({recipientKey})));
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(TypeError);
+    expect(error.message).to.equal('Stream chunks must be Uint8Arrays.');
+  });
+});
+
+async function _encrypt({plaintext, recipientKey, chunkSize, pieceSize}) {
+  return _collect(_readable(_split(plaintext, pieceSize)).pipeThrough(
+    stream.createEncryptStream({recipientKey, chunkSize})));
+}
+
+async function _decrypt({ciphertext, recipientKey, pieceSize}) {
+  return _collect(_readable(_split(ciphertext, pieceSize)).pipeThrough(
+    stream.createDecryptStream({recipientKey})));
+}
+
+async function _decryptError(options) {
+  try {
+    await _decrypt(options);
+  } catch(e) {
+    return e;
+  }
+}
+
+function _readable(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(chunk));
+      controller.close();
+    }
+  });
+}
+
+async function _collect(readable) {
+  const chunks = [];
+  const reader = readable.getReader();
+  for(;;) {
+    const {done, value} = await reader.read();
+    if(done) {
+      break;
+    }
+    chunks.push(value);
+  }
+  const result = new Uint8Array(
+    chunks.reduce((total, {length}) => total + length, 0));
+  let offset = 0;
+  for(const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+function _split(bytes, pieceSize = 1000) {
+  const pieces = [];
+  for(let i = 0; i < bytes.length; i += pieceSize) {
+    pieces.push(bytes.slice(i, i + pieceSize));
+  }
+  return pieces;
+}
+
+function _bytes(length) {
+  return Uint8Array.from({length}, (value, i) => i % 251);
+}
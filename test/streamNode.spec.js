@@ -0,0 +1,121 @@
+/*!
+ * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ */
+import chai from 'chai';
+chai.should();
+const {expect} = chai;
+
+import {
+  BackendError, DecryptionError, stream, X25519KeyAgreementKey2019
+} from '../lib/index.js';
+import {
+  createReadStream, createWriteStream, mkdtempSync, readFileSync, rmSync,
+  truncateSync, writeFileSync
+} from 'node:fs';
+import {join} from 'node:path';
+import {pipeline} from 'node:stream';
+import {promisify} from 'node:util';
+import {randomBytes} from 'node:crypto';
+import {tmpdir} from 'node:os';
+
+const pipelineAsync = promisify(pipeline);
+
+describe('stream (Node.js)', () => {
+  let dir;
+  let recipientKey;
+  before(async () => {
+    recipientKey = await X25519KeyAgreementKey2019.generate();
+  });
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'x25519-stream-'));
+  });
+  afterEach(() => {
+    rmSync(dir, {recursive: true, force: true});
+  });
+
+  it('should encrypt and decrypt files', async () => {
+    const plaintext = randomBytes(1024 * 1024 + 1);
+    writeFileSync(join(dir, 'plain'), plaintext);
+
+    await pipelineAsync(
+      createReadStream(join(dir, 'plain')),
+      stream.createEncryptTransform({recipientKey, chunkSize: 4096}),
+      createWriteStream(join(dir, 'encrypted')));
+    const ciphertext = readFileSync(join(dir, 'encrypted'));
+    expect(ciphertext).to.have.length(52 + plaintext.length + 257 * 16);
+
+    await pipelineAsync(
+      createReadStream(join(dir, 'encrypted')),
+      stream.createDecryptTransform({recipientKey}),
+      createWriteStream(join(dir, 'decrypted')));
+    expect(readFileSync(join(dir, 'decrypted')).equals(plaintext)).to.be.true;
+  });
+
+  it('should detect truncated files', async () => {
+    writeFileSync(join(dir, 'plain'), randomBytes(10000));
+    await pipelineAsync(
+      createReadStream(join(dir, 'plain')),
+      stream.createEncryptTransform({recipientKey, chunkSize: 4096}),
+      createWriteStream(join(dir, 'encrypted')));
+    // drop the last chunk
+    truncateSync(join(dir, 'encrypted'), 52 + 2 * (4096 + 16));
+
+    let error;
+    try {
+      await pipelineAsync(
+        createReadStream(join(dir, 'encrypted')),
+        stream.createDecryptTransform({recipientKey}),
+        createWriteStream(join(dir, 'decrypted')));
+    } catch(e) {
+      error = e;
+    }
+    expect(error).to.be.instanceOf(DecryptionError);
+  });
+
+  it('should require WHATWG streams for WHATWG streams', async () => {
+    const {TransformStream} = globalThis;
+    delete globalThis.TransformStream;
+    let error;
+    try {
+      stream.createEncryptStream({recipientKey});
+    } catch(e) {
+      error = e;
+    } finally {
+      if(TransformStream) {
+        globalThis.TransformStream = TransformStream;
+      }
+    }
+    expect(error).to.be.instanceOf(BackendError);
+    expect(error.code).to.equal('ERR_BACKEND');
+    expect(error.message).to.equal(
+      'WHATWG streams are not available in this environment; ' +
+      'use the Node.js "Transform" streams instead.');
+  });
+
+  it('should interoperate with WHATWG streams', async function() {
+    if(typeof TransformStream === 'undefined') {
+      this.skip();
+    }
+    const plaintext = randomBytes(5000);
+    const encrypt = stream.createEncryptTransform({recipientKey});
+    encrypt.end(plaintext);
+    const chunks = [];
+    for await (const chunk of encrypt) {
+      chunks.push(chunk);
+    }
+
+    const decrypted = [];
+    const writer = new WritableStream({
+      write(chunk) {
+        decrypted.push(chunk);
+      }
+    });
+    await new ReadableStream({
+      start(controller) {
+        chunks.forEach(chunk => controller.enqueue(new Uint8Array(chunk)));
+        controller.close();
+      }
+    }).pipeThrough(stream.createDecryptStream({recipientKey})).pipeTo(writer);
+    expect(Buffer.concat(decrypted).equals(plaintext)).to.be.true;
+  });
+});